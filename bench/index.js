@@ -0,0 +1,136 @@
+import { load } from "cheerio"
+import parse, { createSaxParser } from "../src/index.js"
+
+/**
+ * Benchmarks flex-parse against cheerio on documents generated from a fixed seed, so every run parses exactly the same
+ * data. Run with `pnpm bench`, optionally followed by the names of the documents to run, e.g. `pnpm bench article`.
+ */
+
+const SEED = 0x5eed
+const WARMUP_MS = 500
+const SAMPLE_MS = 2000
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32), giving numbers in [0, 1).
+ *
+ * @param {number} seed
+ * @returns {() => number}
+ */
+const createRandom = seed => () => {
+	seed = (seed + 0x6d2b79f5) | 0
+
+	let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+
+	t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+
+	return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+}
+
+const random = createRandom(SEED)
+const pick = list => list[Math.floor(random() * list.length)]
+const WORDS = "lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod tempor incididunt".split(" ")
+const sentence = length => Array.from({ length }, () => pick(WORDS)).join(" ")
+
+/**
+ * Builds an HTML page of the given number of sections, mixing paragraphs, lists, inline markup, comments and scripts.
+ *
+ * @param {number} sections
+ * @returns {string}
+ */
+const article = sections => {
+	let html = `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>${sentence(4)}</title></head><body>`
+
+	for (let s = 0; s < sections; s++) {
+		html = `${html}<section id="s${s}" class="section ${pick(WORDS)}"><h2>${sentence(3)}</h2>`
+		html = `${html}<!-- ${sentence(6)} --><p>${sentence(40)} <a href="/${pick(WORDS)}?page=${s}">${sentence(2)}</a>`
+		html = `${html} <em>${sentence(3)}</em> ${sentence(30)}</p><ul>`
+
+		for (let i = 0; i < 5; i++) html = `${html}<li data-index="${i}">${sentence(8)}</li>`
+
+		html = `${html}</ul><img src="/images/${s}.png" alt="${sentence(3)}"><br>`
+		html = `${html}<script>if (a < b && b > c) { render(${s}) }</script></section>`
+	}
+
+	return `${html}</body></html>`
+}
+
+/**
+ * Builds an XML feed of the given number of entries, with namespaced attributes and CDATA sections.
+ *
+ * @param {number} entries
+ * @returns {string}
+ */
+const feed = entries => {
+	let xml = `<?xml version="1.0" encoding="UTF-8"?><feed xmlns="http://www.w3.org/2005/Atom" xmlns:m="urn:meta">`
+
+	for (let e = 0; e < entries; e++) {
+		xml = `${xml}<entry m:id="${e}" m:rank="${Math.floor(random() * 1000)}"><title>${sentence(5)}</title>`
+		xml = `${xml}<summary><![CDATA[<b>${sentence(25)}</b>]]></summary><author name="${pick(WORDS)}"/></entry>`
+	}
+
+	return `${xml}</feed>`
+}
+
+/**
+ * Builds a document that's almost all text, with long paragraphs and attribute values.
+ *
+ * @param {number} paragraphs
+ * @returns {string}
+ */
+const prose = paragraphs => {
+	let html = ""
+
+	for (let p = 0; p < paragraphs; p++) html = `${html}<p title="${sentence(20)}">${sentence(400)}</p>\n`
+
+	return html
+}
+
+const DOCUMENTS = {
+	article: { data: article(200), htmlMode: true },
+	feed: { data: feed(1000), htmlMode: false },
+	prose: { data: prose(50), htmlMode: true }
+}
+
+const PARSERS = {
+	"flex-parse": ({ data, htmlMode }) => parse(data, { htmlMode }),
+	"flex-parse (sax)": ({ data, htmlMode }) => createSaxParser({}, { htmlMode }).end(data),
+	cheerio: ({ data, htmlMode }) => load(data, { xml: !htmlMode })
+}
+
+/**
+ * Runs the given function repeatedly for roughly `SAMPLE_MS`, after warming it up for `WARMUP_MS`.
+ *
+ * @param {() => void} run
+ * @returns {{runs: number, mean: number}} The number of runs and the mean time each took in milliseconds
+ */
+const measure = run => {
+	for (const start = performance.now(); performance.now() - start < WARMUP_MS; ) run()
+
+	let runs = 0
+	const start = performance.now()
+
+	while (performance.now() - start < SAMPLE_MS) {
+		run()
+		runs++
+	}
+
+	return { runs, mean: (performance.now() - start) / runs }
+}
+
+const only = process.argv.slice(2)
+
+for (const [name, document] of Object.entries(DOCUMENTS)) {
+	if (only.length && !only.includes(name)) continue
+
+	const kilobytes = Buffer.byteLength(document.data) / 1024
+
+	console.log(`\n${name} (${kilobytes.toFixed(1)} KiB, ${document.htmlMode ? "html" : "xml"})`)
+
+	for (const [parser, run] of Object.entries(PARSERS)) {
+		const { runs, mean } = measure(() => run(document))
+		const throughput = kilobytes / 1024 / (mean / 1000)
+		const time = `${mean.toFixed(2).padStart(9)} ms/op`
+
+		console.log(`  ${parser.padEnd(18)} ${time} ${throughput.toFixed(2).padStart(8)} MiB/s (${runs} runs)`)
+	}
+}
@@ -2,18 +2,23 @@ import commonjs from "@rollup/plugin-commonjs"
 import resolve from "@rollup/plugin-node-resolve"
 
 export default [
+	{
+		input: "src/commonjs.js",
+		output: {
+			file: "dist/index.cjs",
+			format: "cjs",
+			exports: "default"
+		},
+		external: ["node:stream"],
+		plugins: [resolve(), commonjs()]
+	},
 	{
 		input: "src/index.js",
-		output: [
-			{
-				file: "dist/index.cjs",
-				format: "cjs"
-			},
-			{
-				file: "dist/index.mjs",
-				format: "es"
-			}
-		],
+		output: {
+			file: "dist/index.mjs",
+			format: "es"
+		},
+		external: ["node:stream"],
 		plugins: [resolve(), commonjs()]
 	}
 ]
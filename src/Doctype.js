@@ -0,0 +1,147 @@
+import { Node, TEXT } from "virty"
+
+const DOCTYPE = "doctype"
+
+/**
+ * Builds the DOCTYPE declaration described by the given parts.
+ *
+ * @param {{name?: string, publicId?: string, systemId?: string, internalSubset?: string}} doctype
+ * @returns {string}
+ */
+const formatDoctype = ({ name, publicId, systemId, internalSubset }) => {
+	let value = "<!DOCTYPE"
+
+	if (name) value = `${value} ${name}`
+	if (publicId !== undefined) {
+		value = `${value} PUBLIC "${publicId}"`
+		if (systemId !== undefined) value = `${value} "${systemId}"`
+	} else if (systemId !== undefined) {
+		value = `${value} SYSTEM "${systemId}"`
+	}
+	if (internalSubset !== undefined) value = `${value} [${internalSubset}]`
+
+	return `${value}>`
+}
+
+/**
+ * A document type declaration, such as `<!DOCTYPE html>` or `<!DOCTYPE note SYSTEM "note.dtd" [...]>`. Its type is
+ * `"doctype"`, and its value is the whole declaration as it was written.
+ */
+export default class Doctype extends Node {
+	#name
+	#publicId
+	#systemId
+	#internalSubset
+	#entities
+
+	/**
+	 * Creates a new doctype node.
+	 *
+	 * @param {object} [init]
+	 * @param {string} [init.name] (Optional) The name of the document type, e.g. `"html"`
+	 * @param {string} [init.publicId] (Optional) The public identifier
+	 * @param {string} [init.systemId] (Optional) The system identifier, usually the location of an external DTD
+	 * @param {string} [init.internalSubset] (Optional) The raw internal subset, without its surrounding brackets
+	 * @param {{[name: string]: string}} [init.entities] (Optional) The general entities declared within the internal subset, mapped to their replacement text
+	 * @param {string} [init.value] (Optional) The whole declaration as it was written, built from the other parts if not given
+	 */
+	constructor(init = {}) {
+		if (Object.prototype.toString.call(init) !== "[object Object]")
+			throw new TypeError("Expected 'init' to be an object")
+		if (typeof init.name !== "string") init.name = undefined
+		if (typeof init.publicId !== "string") init.publicId = undefined
+		if (typeof init.systemId !== "string") init.systemId = undefined
+		if (typeof init.internalSubset !== "string") init.internalSubset = undefined
+		if (Object.prototype.toString.call(init.entities) !== "[object Object]") init.entities = {}
+		if (typeof init.value !== "string") init.value = formatDoctype(init)
+
+		super({ type: TEXT, value: init.value })
+
+		this.#name = init.name
+		this.#publicId = init.publicId
+		this.#systemId = init.systemId
+		this.#internalSubset = init.internalSubset
+		this.#entities = { ...init.entities }
+	}
+
+	/**
+	 * The general entities declared within the internal subset, mapped to their replacement text.
+	 *
+	 * @returns {{[name: string]: string}}
+	 */
+	get entities() {
+		return { ...this.#entities }
+	}
+
+	/**
+	 * The raw internal subset, without its surrounding brackets.
+	 *
+	 * @returns {string|undefined}
+	 */
+	get internalSubset() {
+		return this.#internalSubset
+	}
+
+	/**
+	 * The name of the document type, e.g. `"html"`.
+	 *
+	 * @returns {string|undefined}
+	 */
+	get name() {
+		return this.#name
+	}
+
+	/**
+	 * The public identifier.
+	 *
+	 * @returns {string|undefined}
+	 */
+	get publicId() {
+		return this.#publicId
+	}
+
+	/**
+	 * The system identifier, usually the location of an external DTD.
+	 *
+	 * @returns {string|undefined}
+	 */
+	get systemId() {
+		return this.#systemId
+	}
+
+	/**
+	 * Doctypes contribute no text.
+	 *
+	 * @returns {string}
+	 */
+	get text() {
+		return ""
+	}
+
+	/**
+	 * The type of the node.
+	 *
+	 * @returns {"doctype"}
+	 */
+	get type() {
+		return DOCTYPE
+	}
+
+	toObject() {
+		const object = super.toObject()
+
+		if (this.#name !== undefined) object.name = this.#name
+		if (this.#publicId !== undefined) object.publicId = this.#publicId
+		if (this.#systemId !== undefined) object.systemId = this.#systemId
+		if (this.#internalSubset !== undefined) object.internalSubset = this.#internalSubset
+		if (Object.keys(this.#entities).length) object.entities = { ...this.#entities }
+
+		return object
+	}
+
+	toString() {
+		return this.value
+	}
+}
+
+export { DOCTYPE, formatDoctype }
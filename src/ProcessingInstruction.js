@@ -0,0 +1,96 @@
+import { Node, TEXT } from "virty"
+import parsePseudoAttributes from "./utils/parsePseudoAttributes.js"
+
+const PROCESSING_INSTRUCTION = "processing-instruction"
+
+// Targets whose data is made up of pseudo-attributes
+const PSEUDO_ATTRIBUTE_TARGETS = { xml: true, "xml-stylesheet": true }
+
+/**
+ * A processing instruction, such as `<?xml version="1.0"?>` or `<?php echo $a ?>`. Its type is
+ * `"processing-instruction"`, and its value is the whole instruction as it was written.
+ */
+export default class ProcessingInstruction extends Node {
+	#target
+	#data
+	#attributes
+
+	/**
+	 * Creates a new processing instruction node.
+	 *
+	 * @param {object} init (Required)
+	 * @param {string} init.target (Required) The name directly following `<?`, e.g. `"xml"` for `<?xml version="1.0"?>`
+	 * @param {string} [init.data] (Optional) Everything following the target, up to `?>`
+	 * @param {string} [init.value] (Optional) The whole instruction as it was written, built from the target and data if not given
+	 */
+	constructor(init = {}) {
+		if (Object.prototype.toString.call(init) !== "[object Object]")
+			throw new TypeError("Expected 'init' to be an object")
+		if (typeof init.target !== "string") throw new TypeError("Expected 'init.target' to be a string")
+		if (typeof init.data !== "string") init.data = ""
+		if (typeof init.value !== "string") init.value = `<?${init.target}${init.data.length ? ` ${init.data}` : ""}?>`
+
+		super({ type: TEXT, value: init.value })
+
+		this.#target = init.target
+		this.#data = init.data
+
+		if (PSEUDO_ATTRIBUTE_TARGETS[init.target] === true) this.#attributes = parsePseudoAttributes(init.data)
+	}
+
+	/**
+	 * The pseudo-attributes of an XML declaration or `xml-stylesheet` instruction, e.g. `version`, `encoding` and
+	 * `standalone`. Other instructions do not have an attributes member.
+	 *
+	 * @returns {{[name: string]: string}|undefined}
+	 */
+	get attributes() {
+		return this.#attributes ? { ...this.#attributes } : undefined
+	}
+
+	/**
+	 * Everything following the target, up to `?>`.
+	 *
+	 * @returns {string}
+	 */
+	get data() {
+		return this.#data
+	}
+
+	/**
+	 * The name directly following `<?`.
+	 *
+	 * @returns {string}
+	 */
+	get target() {
+		return this.#target
+	}
+
+	/**
+	 * Processing instructions contribute no text.
+	 *
+	 * @returns {string}
+	 */
+	get text() {
+		return ""
+	}
+
+	/**
+	 * The type of the node.
+	 *
+	 * @returns {"processing-instruction"}
+	 */
+	get type() {
+		return PROCESSING_INSTRUCTION
+	}
+
+	toObject() {
+		return { ...super.toObject(), target: this.#target, data: this.#data }
+	}
+
+	toString() {
+		return this.value
+	}
+}
+
+export { PROCESSING_INSTRUCTION }
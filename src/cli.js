@@ -0,0 +1,330 @@
+import { readFile } from "node:fs/promises"
+import { parseArgs } from "node:util"
+import parse from "./index.js"
+import serialize from "./serialize.js"
+import createCodeFrame from "./utils/createCodeFrame.js"
+import createLocator from "./utils/createLocator.js"
+import sniffEncoding from "./utils/sniffEncoding.js"
+
+// How each `parse` option is written as a flag, keyed by option name. Hooks and `signal` can't be given as text
+const FLAGS = {
+	attributeRecords: { type: "boolean" },
+	context: { type: "string", placeholder: "tag" },
+	decodeEntities: { type: "boolean" },
+	duplicateAttributes: { type: "string", choices: ["first", "last", "array", "error"] },
+	encoding: { type: "string", placeholder: "label" },
+	excludeElements: { type: "list" },
+	htmlMode: { type: "boolean", alias: "html" },
+	ignoreAttributes: { type: "boolean" },
+	ignoreCommentNodes: { type: "boolean" },
+	ignoreElementNodes: { type: "boolean" },
+	ignoreEmptyText: { type: "boolean" },
+	ignoreTextNodes: { type: "boolean" },
+	includeElements: { type: "list" },
+	maxAttributeValueLength: { type: "number" },
+	maxAttributesPerElement: { type: "number" },
+	maxDepth: { type: "number" },
+	maxInputLength: { type: "number" },
+	maxNodes: { type: "number" },
+	maxTextLength: { type: "number" },
+	misnesting: { type: "string", choices: ["strict", "close-to-match", "ignore-stray", "adoption-agency"] },
+	mustNotContainElementNodes: { type: "rules" },
+	mustNotContainTextNodes: { type: "rules" },
+	mustNotContainTextNodesStrict: { type: "rules" },
+	mustNotSelfClose: { type: "rules" },
+	mustPreserveWhitespace: { type: "list" },
+	mustSelfClose: { type: "rules" },
+	namespaces: { type: "boolean" },
+	parseAttributes: { type: "boolean" },
+	positions: { type: "boolean" },
+	rawTextElements: { type: "list" },
+	recover: { type: "boolean" },
+	trimAttributes: { type: "boolean" },
+	trimText: { type: "boolean" },
+	truncateAttributes: { type: "boolean" },
+	truncateText: { type: "boolean" },
+	voidElements: { type: "list" }
+}
+
+/**
+ * Converts a camelCased option name into the flag it's given by, e.g. `"trimText"` into `"trim-text"`.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+const toKebabCase = name => name.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)
+
+const FORMATS = ["json", "outline", "markup"]
+const STDIN = "-"
+
+// What `parseArgs` is given, where lists and rules are strings that can be repeated
+const ARGUMENTS = {
+	format: { type: "string", short: "f", default: "outline" },
+	normalize: { type: "boolean" },
+	help: { type: "boolean", short: "h" },
+	version: { type: "boolean", short: "v" },
+	...Object.fromEntries(
+		Object.entries(FLAGS).flatMap(([option, { type, alias }]) => {
+			const config = { type: type === "boolean" ? "boolean" : "string", multiple: type === "list" || type === "rules" }
+
+			const flags = [[toKebabCase(option), config]]
+
+			return alias ? [...flags, [alias, config]] : flags
+		})
+	)
+}
+
+const USAGE = `Usage: flex-parse [options] [file...]
+
+Parses each file (or stdin, when no file or '-' is given) and prints the result.
+
+Output:
+  -f, --format <format>  ${FORMATS.join(", ")} (default: outline)
+      --normalize        Serializes markup without the original formatting
+  -h, --help             Shows this message
+  -v, --version          Shows the version number
+
+Parsing (see the README for what each one does):
+${Object.entries(FLAGS)
+	.map(([option, { type, choices, placeholder, alias }]) => {
+		const value = choices?.join("|") ?? placeholder ?? { list: "names", rules: "names", number: "n" }[type]
+		const flag = value ? `--${toKebabCase(option)} <${value}>` : `--${toKebabCase(option)}`
+
+		return `      ${alias ? `${flag}, --${alias}` : flag}`
+	})
+	.join("\n")}
+
+Lists are separated by commas and flags giving them can be repeated. Rules can mark a tag name as a warning rather than
+an error, e.g. '--must-self-close img,br=warning'.
+
+Exits with 1 when a file fails to parse, and with 2 when the arguments or files can't be used.`
+
+/**
+ * Turns the parsed flags into `parse` options.
+ *
+ * @param {object} values The values given by `parseArgs`
+ * @returns {object}
+ */
+const toOptions = values => {
+	const options = {}
+
+	for (const [option, { type, choices, alias }] of Object.entries(FLAGS)) {
+		const flag = toKebabCase(option)
+		const value = values[flag] ?? (alias && values[alias])
+
+		if (value === undefined) continue
+
+		if (type === "boolean") {
+			options[option] = value
+		} else if (type === "number") {
+			options[option] = Number(value)
+
+			if (!(options[option] >= 0)) throw new TypeError(`Expected '--${flag}' to be a number, got '${value}'`)
+		} else if (type === "string") {
+			if (choices && !choices.includes(value))
+				throw new TypeError(`Expected '--${flag}' to be one of ${choices.join(", ")}, got '${value}'`)
+
+			options[option] = value
+		} else {
+			const names = value.flatMap(list => list.split(",")).filter(name => name.length)
+
+			options[option] =
+				type === "rules" && names.some(name => name.includes("="))
+					? Object.fromEntries(names.map(name => (name.includes("=") ? name.split("=", 2) : [name, "error"])))
+					: names
+		}
+	}
+
+	return options
+}
+
+/**
+ * Reads the given file, or stdin when given `"-"`.
+ *
+ * @param {string} file
+ * @param {AsyncIterable<Buffer|string>} stdin
+ * @returns {Promise<Buffer>}
+ */
+const read = async (file, stdin) => {
+	if (file !== STDIN) return readFile(file)
+
+	const chunks = []
+
+	for await (const chunk of stdin) chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk)
+
+	return Buffer.concat(chunks)
+}
+
+/**
+ * Gives a node as a plain object, along with whatever parsing attached to it (positions, diagnostics and the like),
+ * leaving out the `syntax` details `serialize` relies on.
+ *
+ * @param {Node} node
+ * @returns {object}
+ */
+const toJSON = node => {
+	const { children, ...object } = node.toObject()
+	const { syntax, ...details } = node
+
+	return children ? { ...object, ...details, children: node.children.map(toJSON) } : { ...object, ...details }
+}
+
+/**
+ * Describes a node on a single line, shortening long values.
+ *
+ * @param {Node} node
+ * @returns {string}
+ */
+const describe = node => {
+	const quote = value => JSON.stringify(value.length > 60 ? `${value.slice(0, 59)}…` : value)
+
+	if (node.type === "element") {
+		const attributes = Object.entries(node.attributes).map(([name, value]) =>
+			value === "" ? ` ${name}` : ` ${name}=${quote(`${value}`)}`
+		)
+
+		return `<${node.tagName}${attributes.join("")}>${node.implicitlyClosed ? " (implicitly closed)" : ""}`
+	}
+	if (node.type === "processing-instruction") return `#pi ${node.target} ${quote(node.data)}`
+	if (node.type === "doctype") return `#doctype ${node.name}`
+
+	return `#${node.type} ${quote(node.value)}`
+}
+
+/**
+ * Gives the root node as an indented outline, one node per line, with where each was found when positions are on.
+ *
+ * @param {Node} root
+ * @returns {string}
+ */
+const toOutline = root => {
+	const lines = []
+	const walk = (node, depth) => {
+		const at = node.position ? `  ${node.position.start.line}:${node.position.start.column}` : ""
+
+		lines.push(`${"  ".repeat(depth)}${describe(node)}${at}`)
+
+		for (const child of node.children ?? []) walk(child, depth + 1)
+	}
+
+	for (const child of root.children) walk(child, 0)
+
+	return lines.join("\n")
+}
+
+/**
+ * Formats a diagnostic, or an error thrown while parsing, as `file:line:column: message` followed by a code frame.
+ *
+ * @param {string} name The name of the file
+ * @param {{line: number, column: number}} point
+ * @param {string} message
+ * @param {string} frame
+ * @returns {string}
+ */
+const formatProblem = (name, { line, column }, message, frame) => `${name}:${line}:${column}: ${message}\n${frame}\n`
+
+/**
+ * Runs the `flex-parse` command with the given arguments, writing to the given streams rather than exiting so that it
+ * can be run from anywhere.
+ *
+ * @param {string[]} args The arguments following the command, e.g. `process.argv.slice(2)`
+ * @param {object} [io]
+ * @param {AsyncIterable<Buffer|string>} [io.stdin] Read when no file is given, or the file is `-`
+ * @param {{write: (string: string) => void}} [io.stdout] Written the results to
+ * @param {{write: (string: string) => void}} [io.stderr] Written errors and diagnostics to
+ * @returns {Promise<number>} The code to exit with: `0` on success, `1` when a file fails to parse, and `2` when the
+ * arguments or files can't be used
+ */
+export default async function cli(args, io = {}) {
+	const { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = io
+	let values, positionals, options
+
+	try {
+		;({ values, positionals } = parseArgs({ args, allowPositionals: true, options: ARGUMENTS }))
+
+		if (!FORMATS.includes(values.format))
+			throw new TypeError(`Expected '--format' to be one of ${FORMATS.join(", ")}, got '${values.format}'`)
+
+		options = toOptions(values)
+	} catch (error) {
+		stderr.write(`flex-parse: ${error.message}\nRun 'flex-parse --help' for usage\n`)
+
+		return 2
+	}
+
+	if (values.help) {
+		stdout.write(`${USAGE}\n`)
+
+		return 0
+	}
+	if (values.version) {
+		const { version } = JSON.parse(await readFile(new URL("../package.json", import.meta.url), "utf8"))
+
+		stdout.write(`${version}\n`)
+
+		return 0
+	}
+
+	const files = positionals.length ? positionals : [STDIN]
+	const results = {}
+	let code = 0
+
+	for (const file of files) {
+		const name = file === STDIN ? "<stdin>" : file
+		let data, encoding
+
+		// Decoding here, rather than leaving it to parse, keeps the text errors are located in
+		try {
+			const bytes = await read(file, stdin)
+
+			encoding = options.encoding ?? sniffEncoding(bytes, options.htmlMode).encoding
+			data = new TextDecoder(encoding).decode(bytes)
+		} catch (error) {
+			stderr.write(`flex-parse: ${name}: ${error.message}\n`)
+			code = 2
+
+			continue
+		}
+
+		const locate = createLocator(data)
+		const leading = data.length - data.trimStart().length
+		let root
+
+		try {
+			root = parse(data, options)
+		} catch (error) {
+			if (typeof error.charNumber !== "number") throw error
+
+			// Errors count characters from the first one that isn't leading whitespace, except for the input limit
+			const offset = error.name === "LimitExceededError" && error.limit === "maxInputLength" ? 0 : leading
+			const point = locate(Math.min(offset + error.charNumber - 1, data.length))
+
+			stderr.write(formatProblem(name, point, `${error.name}: ${error.message}`, createCodeFrame(data, point)))
+			code = 1
+
+			continue
+		}
+
+		root.encoding = encoding
+
+		for (const { severity, message, line, column, frame } of root.diagnostics ?? [])
+			stderr.write(formatProblem(name, { line, column }, `${severity}: ${message}`, frame))
+
+		if (values.format === "json") {
+			results[name] = toJSON(root)
+		} else {
+			const output = values.format === "markup" ? serialize(root, { normalize: values.normalize }) : toOutline(root)
+
+			stdout.write(files.length > 1 ? `==> ${name} <==\n${output}\n` : `${output}\n`)
+		}
+	}
+
+	// A single file gives its tree, while several give an object of trees keyed by file name
+	if (values.format === "json" && Object.keys(results).length) {
+		const output = files.length > 1 ? results : Object.values(results)[0]
+
+		stdout.write(`${JSON.stringify(output, null, "\t")}\n`)
+	}
+
+	return code
+}
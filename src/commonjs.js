@@ -0,0 +1,7 @@
+import parse, * as named from "./index.js"
+
+/**
+ * The entry of the CommonJS build, which can only export a single value. `require("flex-parse")` gives `parse` itself,
+ * as it always has, with every named export (`default` included) attached to it.
+ */
+export default Object.assign(parse, named)
@@ -0,0 +1,40 @@
+import { Transform } from "node:stream"
+import createStreamParser from "./createStreamParser.js"
+
+/**
+ * Creates a transform stream that parses the HTML/XML data written to it, pushing the root node once the written data
+ * has ended. The readable side of the stream is in object mode.
+ *
+ * @param {object} [options] Accepts the same options as `parse`
+ * @returns {Transform}
+ */
+export default function createParseStream(options = {}) {
+	const parser = createStreamParser(options)
+
+	return new Transform({
+		readableObjectMode: true,
+		// Strings are parsed as they are rather than as UTF-8 bytes, which would have their encoding sniffed
+		decodeStrings: false,
+		transform(chunk, encoding, callback) {
+			try {
+				// Strings written in an encoding such as "hex" or "base64" stand for bytes
+				parser.write(typeof chunk === "string" && !/^utf-?8$/i.test(encoding) ? Buffer.from(chunk, encoding) : chunk)
+			} catch (error) {
+				return callback(error)
+			}
+
+			callback()
+		},
+		flush(callback) {
+			let root
+
+			try {
+				root = parser.end()
+			} catch (error) {
+				return callback(error)
+			}
+
+			callback(null, root)
+		}
+	})
+}
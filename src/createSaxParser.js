@@ -0,0 +1,1737 @@
+import {
+	DuplicateAttributeError,
+	LimitExceededError,
+	MisnestedClosingTagError,
+	RuleViolationError,
+	UnboundNamespacePrefixError,
+	UnexpectedEndOfInputError,
+	UnexpectedTokenError,
+	UnmatchedClosingTag
+} from "./utils/errors.js"
+import { CDATA, COMMENT, ELEMENT, TEXT } from "virty"
+import { DOCTYPE } from "./Doctype.js"
+import { PROCESSING_INSTRUCTION } from "./ProcessingInstruction.js"
+import createCodeFrame from "./utils/createCodeFrame.js"
+import countImpliedEndTags from "./utils/countImpliedEndTags.js"
+import createLocator from "./utils/createLocator.js"
+import createValidator from "./utils/createValidator.js"
+import decodeEntities from "./utils/decodeEntities.js"
+import hashArray from "./utils/hashArray.js"
+import isWhitespace from "./utils/isWhitespace.js"
+import parseDoctype from "./utils/parseDoctype.js"
+import parseEntityDeclarations from "./utils/parseEntityDeclarations.js"
+import resolveForeignContent from "./utils/resolveForeignContent.js"
+import sniffEncoding, { SNIFF_LENGTH } from "./utils/sniffEncoding.js"
+import svgAttributeNames from "./utils/svgAttributeNames.js"
+import svgTagNames from "./utils/svgTagNames.js"
+import truncateWhitespace from "./utils/truncateWhitespace.js"
+
+/**
+ * Creates a push-style, event-driven parser that emits events as the HTML/XML data written to it is parsed, without
+ * building any nodes. It runs on the same parsing logic as `parse`, honoring the same options, and can be written to in
+ * chunks the same way as `createStreamParser`. The options that decide which nodes are built or what's kept on them
+ * (`attributeRecords`, `parseAttributes` and the filtering options) are left to `createStreamParser`, so every event is
+ * emitted regardless.
+ *
+ * Each event handler receives a single object describing the event. When `options.positions` is enabled, the object's
+ * `position` describes where in the original data the event was found. Tag events also describe how the tag was
+ * written through `syntax` (or `raw` for closing tags), which is what `serialize` uses to reproduce the original data.
+ * When `options.namespaces` is enabled, tag events also carry the `prefix`, `localName` and `namespaceURI` of the tag,
+ * along with those of each attribute through `attributeNamespaces`.
+ *
+ * @param {object} handlers
+ * @param {(event: {tagName: string, attributes: {[name: string]: string|string[]}, position?: object, syntax: object, implied?: boolean}) => void} [handlers.openTag] Fired for every opening tag, including elements opened again after a misnested closing tag by `options.misnesting` and the `p` a stray `</p>` closes in `options.htmlMode`, in which case `implied` is `true`
+ * @param {(event: {tagName: string, position?: object, implied: boolean, raw: string}) => void} [handlers.closeTag] Fired for every element that closes, whether by a closing tag or implicitly (such as by the end of the data), in which case `implied` is `true`
+ * @param {(event: {tagName: string, attributes: {[name: string]: string|string[]}, position?: object, syntax: object}) => void} [handlers.selfClosing] Fired for every self-closing or void element tag
+ * @param {(event: {value: string, position?: object, raw?: string}) => void} [handlers.text] Fired for every text node, including its undecoded `raw` value when `options.decodeEntities` is enabled
+ * @param {(event: {value: string, position?: object}) => void} [handlers.comment] Fired for every comment node
+ * @param {(event: {value: string, position?: object, raw: string}) => void} [handlers.cdata] Fired for every CDATA node
+ * @param {(event: {target: string, data: string, value: string, position?: object}) => void} [handlers.processingInstruction] Fired for every processing instruction, such as `<?xml version="1.0"?>`
+ * @param {(event: {name?: string, publicId?: string, systemId?: string, internalSubset?: string, entities: {[name: string]: string}, value: string, position?: object}) => void} [handlers.doctype] Fired for every document type declaration, such as `<!DOCTYPE html>`, along with the entities declared within its internal subset
+ * @param {(diagnostic: object) => void} [handlers.diagnostic] Fired for every problem recovered from when `options.recover` is enabled
+ * @param {(event: {position?: object, leading: string, trailing: string, encoding?: string, context?: string}) => void} [handlers.end] Fired once the parser has ended, along with the whitespace trimmed from either end of the data, the encoding binary data was decoded from and the name of the element a fragment was parsed within
+ * @param {object} [options] Accepts the same options as `parse`
+ * @returns {{write: (chunk: string|Buffer|Uint8Array) => object, end: (chunk?: string|Buffer|Uint8Array) => void}}
+ */
+export default function createSaxParser(handlers = {}, options = {}) {
+	if (Object.prototype.toString.call(handlers) !== "[object Object]") handlers = {}
+
+	// Set default options on a copy, so the options given can be used again
+	options = Object.prototype.toString.call(options) === "[object Object]" ? { ...options } : {}
+	if (typeof options.context === "string") options.context = { tagName: options.context }
+	if (
+		Object.prototype.toString.call(options.context) !== "[object Object]" ||
+		typeof options.context.tagName !== "string" ||
+		!options.context.tagName.length
+	)
+		options.context = undefined
+	else if (Object.prototype.toString.call(options.context.attributes) !== "[object Object]")
+		options.context = { ...options.context, attributes: {} }
+	if (typeof options.decodeEntities !== "boolean") options.decodeEntities = false
+	if (!["first", "last", "array", "error"].includes(options.duplicateAttributes)) options.duplicateAttributes = "last"
+	if (typeof options.encoding !== "string") options.encoding = undefined
+	if (typeof options.htmlMode !== "boolean") options.htmlMode = false
+	if (typeof options.ignoreEmptyText !== "boolean") options.ignoreEmptyText = false
+	for (const limit of [
+		"maxAttributeValueLength",
+		"maxAttributesPerElement",
+		"maxDepth",
+		"maxInputLength",
+		"maxNodes",
+		"maxTextLength"
+	]) {
+		if (typeof options[limit] !== "number" || !(options[limit] >= 0)) options[limit] = Infinity
+	}
+	if (!["strict", "close-to-match", "ignore-stray", "adoption-agency"].includes(options.misnesting))
+		options.misnesting = "close-to-match"
+	for (const rule of [
+		"mustNotContainElementNodes",
+		"mustNotContainTextNodes",
+		"mustNotContainTextNodesStrict",
+		"mustNotSelfClose",
+		"mustSelfClose"
+	]) {
+		if (!Array.isArray(options[rule]) && Object.prototype.toString.call(options[rule]) !== "[object Object]")
+			options[rule] = []
+	}
+	if (typeof options.namespaces !== "boolean") options.namespaces = false
+	if (typeof options.onAttribute !== "function") options.onAttribute = undefined
+	if (typeof options.onCDATA !== "function") options.onCDATA = undefined
+	if (typeof options.onComment !== "function") options.onComment = undefined
+	if (typeof options.onElement !== "function") options.onElement = undefined
+	if (typeof options.onSnapshot !== "function") options.onSnapshot = undefined
+	if (typeof options.onText !== "function") options.onText = undefined
+	if (typeof options.positions !== "boolean") options.positions = false
+	if (typeof options.recover !== "boolean") options.recover = false
+	if (!(options.signal instanceof AbortSignal)) options.signal = undefined
+	if (typeof options.trimAttributes !== "boolean") options.trimAttributes = false
+	if (typeof options.trimText !== "boolean") options.trimText = false
+	if (typeof options.truncateAttributes !== "boolean") options.truncateAttributes = false
+	if (typeof options.truncateText !== "boolean") options.truncateText = false
+
+	// Element Lists
+	const toHash = list => hashArray(Array.isArray(list) ? list : [], options.htmlMode)
+	let mustPreserveWhitespace = toHash(options.mustPreserveWhitespace)
+	let rawTextElements = toHash(options.rawTextElements)
+	let voidElements = toHash(options.voidElements)
+
+	if (options.htmlMode) {
+		rawTextElements = {
+			...rawTextElements,
+			script: true,
+			style: true,
+			title: true,
+			textarea: true
+		}
+		mustPreserveWhitespace = {
+			...mustPreserveWhitespace,
+			code: true,
+			listing: true,
+			pre: true,
+			textarea: true
+		}
+		voidElements = {
+			...voidElements,
+			area: true,
+			base: true,
+			br: true,
+			col: true,
+			command: true,
+			embed: true,
+			hr: true,
+			img: true,
+			input: true,
+			keygen: true,
+			link: true,
+			meta: true,
+			param: true,
+			source: true,
+			track: true,
+			wbr: true
+		}
+	}
+
+	// Character Constants
+	const LT_SIGN = "<"
+	const GT_SIGN = ">"
+	const EQ_SIGN = "="
+	const S_QUOTE = `'`
+	const D_QUOTE = `"`
+	const F_SLASH = "/"
+	const BANG = "!"
+	const DASH = "-"
+	const O_BRACK = "["
+	const C_BRACK = "]"
+	const Q_MARK = "?"
+
+	// Character Sequence Constants
+	const O_COMMENT = "<!--"
+	const O_CDATA = "<![CDATA["
+	const O_PI = "<?"
+	const O_DOCTYPE = "<!DOCTYPE"
+
+	// Gates
+	const TAG_NAME = "tag name"
+	const ATT_NAME = "attribute name"
+	const SQ_A_VAL = "single-quote attribute value"
+	const DQ_A_VAL = "double-quote attribute value"
+	const NQ_A_VAL = "no-quote attribute value"
+
+	// Runs
+	// Tag names, attribute names and unquoted attribute values go on until whitespace (as `isWhitespace` sees it), or
+	// any character that could end them or turn out to be a mistake
+	const NAME_RUN =
+		/[^\t\n\v\f\r \u0085\u00a0\u1680\u180e\u2000-\u200d\u2028\u2029\u202f\u205f\u2060\u3000\ufeff<>\/=]+/y
+
+	// Events that build a node
+	const NODE_EVENTS = hashArray([
+		"cdata",
+		"comment",
+		"doctype",
+		"openTag",
+		"processingInstruction",
+		"selfClosing",
+		"text"
+	])
+
+	// Element Names
+	const ESCAPABLE_RAW_TEXT = { textarea: true, title: true }
+	const FORMATTING_ELEMENTS = hashArray([
+		"a",
+		"b",
+		"big",
+		"code",
+		"em",
+		"font",
+		"i",
+		"nobr",
+		"s",
+		"small",
+		"strike",
+		"strong",
+		"tt",
+		"u"
+	])
+	const OPTIONAL_END_TAGS = hashArray([
+		"body",
+		"caption",
+		"colgroup",
+		"dd",
+		"dt",
+		"head",
+		"html",
+		"li",
+		"optgroup",
+		"option",
+		"p",
+		"rb",
+		"rp",
+		"rt",
+		"rtc",
+		"tbody",
+		"td",
+		"tfoot",
+		"th",
+		"thead",
+		"tr"
+	])
+	// Attribute names whose case is adjusted within foreign content, keyed by their lowercase form
+	const FOREIGN_ATTRIBUTE_NAMES = { svg: svgAttributeNames, math: { definitionurl: "definitionURL" } }
+
+	// Misnesting Policies
+	const STRICT = "strict"
+	const IGNORE_STRAY = "ignore-stray"
+	const ADOPTION_AGENCY = "adoption-agency"
+
+	// Duplicate Attribute Policies
+	const LAST = "last"
+	const ARRAY = "array"
+	const ERROR = "error"
+
+	// Entity Expansion
+	// Declared entities can expand the data a million characters, plus this many times its length, before it's taken
+	// for an attack such as "billion laughs"
+	const EXPANSION_ALLOWANCE = 1000000
+	const EXPANSION_RATIO = 100
+
+	// Namespaces
+	const XML_NAMESPACE = "http://www.w3.org/XML/1998/namespace"
+	const XMLNS_NAMESPACE = "http://www.w3.org/2000/xmlns/"
+	const XMLNS = "xmlns"
+	const XLINK_NAMESPACE = "http://www.w3.org/1999/xlink"
+	const FOREIGN_NAMESPACES = { svg: "http://www.w3.org/2000/svg", math: "http://www.w3.org/1998/Math/MathML" }
+
+	// Tag Types
+	const CL_TAG = "closing tag"
+	const SC_TAG = "self-closing tag"
+
+	// Loop Dependents
+	const stack = [] // tag names of the currently open elements
+	const opened = [] // the openTag event, tag name, foreign content ("svg" or "math") and namespace scope of each open element
+	let nbuf = {} // node buffer
+	let abuf = "" // attribute name buffer
+	let cbuf = "" // character buffer
+	let gate // filter gates dictating where the cbuf is meant to be flushed
+	let ntype // node type that is currently open
+	let ttype // tag type for the currently open tag declaration
+	let rmode = false // raw text mode
+	let rmbuf = "" // raw text mode sequence end buffer
+	let tstart // index at which the currently open token started
+	let apos = {} // attribute name/value start and end indices
+	let entities = {} // entities declared within the internal subset of the document type declaration
+	let expanded = 0 // characters declared entities have added to the data so far
+	let dropped = 0 // open elements dropped by options.onElement, whose events are held back along with their contents
+	let nodes = 0 // nodes emitted so far, counted against options.maxNodes
+	const base = options.context ? 1 : 0 // open elements that can never be closed, being the context of a fragment
+	const validator = createValidator(options, options.htmlMode)
+
+	// Stream Dependents
+	// Resolved right away, so that an unsupported encoding throws before any data is written
+	const encoding = options.encoding === undefined ? undefined : new TextDecoder(options.encoding).encoding
+	let decoder // created once binary data is written
+	let held // binary data held back until there's enough of it to work out its encoding
+	let data = "" // the chunk of data currently being parsed
+	let dstart = 0 // index of the first character of data
+	const kept = [] // the earlier chunks of data still needed to finish the oldest open token, oldest first
+	let keptLength = 0 // combined length of the kept chunks
+	let index = 0 // index of the next character to parse
+	let offset = 0 // length of the leading whitespace trimmed from the data, which all positions are relative to
+	let length = 0 // length of all data written so far, including trimmed whitespace
+	let leading = "" // leading whitespace trimmed from the data
+	let pending = "" // trailing whitespace held back until more data proves it isn't trailing
+	let started = false // whether anything other than whitespace has been written
+	let ended = false
+
+	// Position Helpers
+	const warns = options.misnesting === IGNORE_STRAY || options.misnesting === ADOPTION_AGENCY || validator.active
+	const locator = options.positions || options.recover || warns ? createLocator() : undefined
+	const locate = options.positions ? locator : undefined
+	const range = (start, end) => ({ start: locate(start + offset), end: locate(end + offset) })
+	const position = (start, end) => (locate ? range(start, end) : undefined)
+	const tagPosition = end => (locate ? { ...range(nbuf.start, end), attributes: nbuf.attributePositions || {} } : undefined)
+
+	// Syntax Helpers
+	const source = (start, end) => {
+		if (start >= dstart) return data.slice(start - dstart, end - dstart)
+
+		// Only the kept chunks from the one the source starts in are joined
+		const parts = [data.slice(0, Math.max(end - dstart, 0))]
+		let at = dstart // index of the first character of the earliest part
+
+		for (let i = kept.length - 1; at > start; i--) {
+			at -= kept[i].length
+			parts.push(kept[i])
+		}
+
+		return parts
+			.reverse()
+			.join("")
+			.slice(start - at, end - at)
+	}
+	const setTagName = (tagName, end) => {
+		nbuf.tagName = tagName
+		nbuf.rawTagName = cbuf
+		nbuf.headEnd = end
+	}
+	const tagSyntax = end => ({
+		open: source(nbuf.start, nbuf.headEnd - nbuf.rawTagName.length),
+		rawTagName: nbuf.rawTagName,
+		attributes: nbuf.attributeSyntax || [],
+		tail: source(nbuf.attributesEnd ?? nbuf.headEnd, end)
+	})
+
+	/**
+	 * Sets an attribute on the node buffer and records its syntax and position, decoding its value first when
+	 * `options.decodeEntities` is enabled. Attributes the tag already has are handled following
+	 * `options.duplicateAttributes`.
+	 *
+	 * @param {string} name The name of the attribute
+	 * @param {string} value The value of the attribute, an empty string if it has none
+	 * @param {string} [quote] The quote the value was wrapped in, an empty string if it wasn't quoted, or `undefined` if
+	 * the attribute has no value
+	 * @param {number} end The index the attribute ends at
+	 */
+	const recordAttribute = (name, value, quote, end) => {
+		const record = { name, value, quote, raw: source(nbuf.attributesEnd ?? nbuf.headEnd, end) }
+		const at = locate
+			? {
+					name: range(apos.nameStart, apos.nameEnd),
+					value: quote === undefined ? undefined : range(apos.valueStart, apos.valueEnd)
+				}
+			: undefined
+		const nameStart = apos.nameStart
+
+		if (options.decodeEntities && quote !== undefined) {
+			record.rawValue = record.value
+			record.value = decodeReferences(record.value, true, apos.valueStart)
+		}
+
+		if (!nbuf.attributes) nbuf.attributes = {}
+		if (!nbuf.attributeSyntax) nbuf.attributeSyntax = []
+
+		const isDuplicate = nbuf.attributeSyntax.some(earlier => earlier.name === name)
+
+		nbuf.attributeSyntax.push(record)
+		nbuf.attributesEnd = end
+
+		if (nbuf.attributeSyntax.length > options.maxAttributesPerElement) exceed("maxAttributesPerElement", nameStart)
+		// Decoding can only lengthen values through entities declared by the document type declaration
+		if (record.value.length > options.maxAttributeValueLength) exceed("maxAttributeValueLength", apos.valueStart)
+
+		apos = {}
+
+		if (isDuplicate && options.duplicateAttributes !== LAST && options.duplicateAttributes !== ARRAY) {
+			if (options.duplicateAttributes === ERROR) {
+				report(
+					new DuplicateAttributeError(name, nameStart + 1),
+					"duplicate-attribute",
+					nameStart,
+					`Attribute '${name}' is repeated on '${nbuf.tagName}'`,
+					{ name }
+				)
+			}
+
+			// Only the first is kept, which is also what browsers do
+			record.isIgnored = true
+
+			return
+		}
+
+		const hooked = options.onAttribute && dropped === 0 ? hookAttribute(name, record.value, at) : [name, record.value]
+
+		if (!hooked) return
+
+		const [key, hookedValue] = hooked
+		const isRepeated =
+			options.duplicateAttributes === ARRAY && Object.prototype.hasOwnProperty.call(nbuf.attributes, key)
+
+		nbuf.attributes[key] = isRepeated ? [].concat(nbuf.attributes[key], hookedValue) : hookedValue
+
+		if (at && !isRepeated) {
+			if (!nbuf.attributePositions) nbuf.attributePositions = {}
+
+			nbuf.attributePositions[key] = at
+		}
+	}
+
+	/**
+	 * Runs an attribute of the tag in the node buffer through `options.onAttribute`, which can rename it, replace its
+	 * value, or drop it. The attribute's syntax record keeps its parsed value, so that `serialize` writes it anew.
+	 *
+	 * @param {string} name The name of the attribute
+	 * @param {string} value The value of the attribute
+	 * @param {object} [at] The position of the attribute
+	 * @returns {[string, string|number|boolean]|undefined} The name and value to set, or `undefined` if it was dropped
+	 */
+	const hookAttribute = (name, value, at) => {
+		const attributes = { ...nbuf.attributes }
+
+		delete attributes[name]
+
+		const result = options.onAttribute(name, value, { tagName: nbuf.tagName, attributes, ...hookContext(at) })
+
+		if (result === false) return
+		if (
+			Array.isArray(result) &&
+			typeof result[0] === "string" &&
+			result[0].length &&
+			(typeof result[1] === "string" || typeof result[1] === "number" || typeof result[1] === "boolean")
+		)
+			return [result[0], result[1]]
+
+		return [name, value]
+	}
+
+	// Namespace Helpers
+	// HTML doesn't declare the xlink prefix its SVG relies on, so it's always declared there
+	const rootScope = Object.assign(
+		Object.create(null),
+		{ xml: XML_NAMESPACE, [XMLNS]: XMLNS_NAMESPACE },
+		options.htmlMode ? { xlink: XLINK_NAMESPACE } : {}
+	)
+
+	/**
+	 * Resolves the namespaces of the tag in the node buffer, taking the declarations made by its own attributes into
+	 * account. Prefixes that aren't declared are reported, and resolve to no namespace when recovering.
+	 *
+	 * @param {string} tagName The name of the tag
+	 * @returns {{scope: object, names: {prefix?: string, localName: string, namespaceURI?: string, attributeNamespaces: object}}}
+	 */
+	const resolveNamespaces = tagName => {
+		const attributes = nbuf.attributes || {}
+		const scope = Object.create(opened[opened.length - 1]?.scope ?? rootScope)
+
+		for (const name in attributes) {
+			// An empty declaration takes the prefix (or the default namespace) back out of scope, and of repeated
+			// declarations kept by options.duplicateAttributes, the last one counts
+			const value = `${[].concat(attributes[name]).pop()}` || undefined
+
+			if (name === XMLNS) scope[""] = value
+			else if (name.startsWith(`${XMLNS}:`)) scope[name.substring(XMLNS.length + 1)] = value
+		}
+
+		const resolve = (name, isAttribute) => {
+			const colon = name.indexOf(":")
+
+			if (colon <= 0) {
+				// Unprefixed attributes are in no namespace, rather than the default one, and HTML puts foreign elements in
+				// their own namespace whatever the default one is
+				const element = FOREIGN_NAMESPACES[nbuf.namespace] ?? scope[""]
+				const namespaceURI = isAttribute ? (name === XMLNS ? XMLNS_NAMESPACE : undefined) : element
+
+				return { prefix: undefined, localName: name, namespaceURI }
+			}
+
+			const prefix = name.substring(0, colon)
+			const namespaceURI = scope[prefix]
+
+			if (namespaceURI === undefined)
+				report(
+					new UnboundNamespacePrefixError(prefix, nbuf.start + 1),
+					"unbound-namespace-prefix",
+					nbuf.start,
+					`Namespace prefix '${prefix}' is not declared`
+				)
+
+			return { prefix, localName: name.substring(colon + 1), namespaceURI }
+		}
+
+		const attributeNamespaces = {}
+
+		for (const name in attributes) attributeNamespaces[name] = resolve(name, true)
+
+		return { scope, names: { ...resolve(tagName, false), attributeNamespaces } }
+	}
+
+	// Event Helpers
+	const emit = (event, payload) => {
+		if (NODE_EVENTS[event] === true && ++nodes > options.maxNodes) exceed("maxNodes", index)
+		if (dropped > 0 && event !== "diagnostic" && event !== "end") return
+		if (typeof handlers[event] === "function") handlers[event](payload)
+	}
+
+	/**
+	 * Describes where the node a hook is called for is about to be appended.
+	 *
+	 * @param {object} [at] The position of the node, when `options.positions` is enabled
+	 * @returns {{parent: string, ancestors: string[], position?: object, options: object}}
+	 */
+	const hookContext = at => {
+		const ancestors = opened.map(({ event }) => event.tagName)
+
+		return { parent: ancestors[ancestors.length - 1] ?? "ROOT", ancestors, position: at, options }
+	}
+
+	/**
+	 * Runs the given tag event through `options.onElement`, which can rename the element, replace its attributes, or
+	 * drop it along with everything inside it.
+	 *
+	 * @param {object} event The openTag or selfClosing event
+	 * @param {boolean} isSelfClosing Whether the element closes right away
+	 * @returns {object|undefined} The event to emit, or `undefined` if the element was dropped
+	 */
+	const hookElement = (event, isSelfClosing) => {
+		if (!options.onElement || dropped > 0) return event
+
+		const element = options.onElement(
+			{ tagName: event.tagName, attributes: { ...event.attributes }, isSelfClosing },
+			hookContext(event.position)
+		)
+
+		if (element === false) return
+		if (Object.prototype.toString.call(element) !== "[object Object]") return event
+
+		const hooked = { ...event }
+
+		if (Object.prototype.toString.call(element.attributes) === "[object Object]")
+			hooked.attributes = { ...element.attributes }
+
+		// Renamed elements are written with their new name
+		if (typeof element.tagName === "string" && element.tagName.length && element.tagName !== event.tagName) {
+			hooked.tagName = element.tagName
+			hooked.syntax = { ...event.syntax, rawTagName: element.tagName }
+		}
+
+		return hooked
+	}
+
+	/**
+	 * Runs the value of a comment or CDATA section through its hook, which can replace the value or drop the node.
+	 *
+	 * @param {Function} [hook] `options.onComment` or `options.onCDATA`
+	 * @param {string} value The value of the node
+	 * @param {object} [at] The position of the node
+	 * @returns {string|undefined} The value to emit, or `undefined` if the node was dropped
+	 */
+	const hookValue = (hook, value, at) => {
+		if (!hook || dropped > 0) return value
+
+		const result = hook(value, hookContext(at))
+
+		if (result === false) return
+
+		return typeof result === "string" ? result : value
+	}
+	const emitComment = (value, start, end) => {
+		const at = position(start, end)
+
+		value = hookValue(options.onComment, value, at)
+
+		if (value !== undefined) emit("comment", { value, position: at })
+	}
+	const emitCData = (value, start, end) => {
+		const at = position(start, end)
+
+		if (validator.active) validate(validator.text(), start)
+
+		value = hookValue(options.onCDATA, value, at)
+
+		if (value !== undefined) emit("cdata", { value, position: at, raw: source(start, end) })
+	}
+	const tagEvent = (tagName, end) => {
+		const event = { tagName, attributes: nbuf.attributes || {}, position: tagPosition(end), syntax: tagSyntax(end) }
+
+		if (!options.namespaces) return { event }
+
+		const { scope, names } = resolveNamespaces(tagName)
+
+		return { event: { ...event, ...names }, scope }
+	}
+	const openElement = (tagName, end, implied = false) => {
+		checkDepth(nbuf.start)
+
+		const { event, scope } = tagEvent(tagName, end)
+
+		if (validator.active) validate(validator.open(tagName, false), nbuf.start)
+
+		const hooked = hookElement(implied ? { ...event, implied } : event, false)
+
+		if (hooked) {
+			emit("openTag", hooked)
+		} else {
+			dropped++
+		}
+
+		stack.push(tagName)
+		opened.push({
+			event: hooked ?? event,
+			tagName,
+			content: nbuf.content,
+			scope,
+			isDropped: !hooked,
+			preservesWhitespace: preservesWhitespace(tagName)
+		})
+	}
+
+	const emitSelfClosing = (tagName, end) => {
+		checkDepth(nbuf.start)
+
+		if (validator.active) validate(validator.open(tagName, true), nbuf.start)
+
+		const hooked = hookElement(tagEvent(tagName, end).event, true)
+
+		if (hooked) emit("selfClosing", hooked)
+	}
+
+	/**
+	 * Works out whether the text within the element in the node buffer keeps its whitespace, whatever the text options
+	 * say. Listed elements always do, `xml:space` can turn it on or off, and otherwise it's inherited from the parent.
+	 *
+	 * @param {string} tagName The name of the element
+	 * @returns {boolean}
+	 */
+	const preservesWhitespace = tagName => {
+		if (mustPreserveWhitespace[tagName] === true) return true
+
+		const space = [].concat(nbuf.attributes?.["xml:space"] ?? []).pop()
+
+		if (space === "preserve") return true
+		if (space === "default") return false
+
+		return opened[opened.length - 1]?.preservesWhitespace === true
+	}
+
+	/**
+	 * Closes the innermost open element, with the closing tag found between the given indexes.
+	 *
+	 * @param {number} start The index the closing tag starts at
+	 * @param {number} end The index the closing tag ends at
+	 * @param {boolean} [implied] Whether the element closes without a closing tag of its own
+	 * @param {[number, number]} [name] The indexes the tag name starts and ends at, when it doesn't follow `</` straight away
+	 */
+	const closeElement = (start, end, implied = false, name) => {
+		const { event, tagName, isDropped } = opened[opened.length - 1]
+		let raw = source(start, end)
+
+		// Elements renamed by options.onElement are closed by their new name, written where the old one was
+		if (raw && event.tagName !== tagName) {
+			const [nameStart, nameEnd] = name ?? [start + 2, start + 2 + tagName.length]
+
+			raw = `${source(start, nameStart)}${event.tagName}${source(nameEnd, end)}`
+		}
+
+		emit("closeTag", { tagName: event.tagName, position: position(start, end), implied, raw })
+		stack.pop()
+		opened.pop()
+		if (isDropped) dropped--
+		if (validator.active) validator.close()
+	}
+
+	/**
+	 * Opens an element again after it was closed early by a misnested closing tag, without any tag of its own.
+	 *
+	 * @param {{event: object, tagName: string, isDropped: boolean}} element The element as it was opened
+	 * @param {number} at The index the element opens again at
+	 */
+	const reopenElement = (element, at) => {
+		const { event, tagName, isDropped } = element
+		const reopened = {
+			...event,
+			attributes: { ...event.attributes },
+			position: locate ? { ...range(at, at), attributes: {} } : undefined,
+			syntax: { open: "", rawTagName: "", attributes: [], tail: "" },
+			implied: true
+		}
+
+		checkDepth(at)
+
+		if (validator.active) validate(validator.open(tagName, false, true), at)
+
+		// Elements dropped by options.onElement stay dropped
+		if (isDropped) {
+			dropped++
+		} else {
+			emit("openTag", reopened)
+		}
+
+		stack.push(tagName)
+		opened.push({ ...element, event: reopened })
+	}
+
+	/**
+	 * Closes the element the closing tag in the node buffer belongs to, along with any elements left open inside it,
+	 * following `options.misnesting`.
+	 *
+	 * @param {number} end The index the closing tag ends at
+	 */
+	const closeMatchingElement = end => {
+		const { tagName, start } = nbuf
+		const match = stack.lastIndexOf(tagName)
+		let implied = match < 0 ? -1 : stack.length - 1 - match // elements left open inside the one being closed
+
+		if (options.htmlMode) implied = countImpliedEndTags(tagName, stack, true)
+
+		// The context of a fragment can't be closed from within it
+		if (implied > stack.length - 1 - base) implied = -1
+
+		if (implied < 0) {
+			const message = `Closing tag '${tagName}' does not match any open element`
+
+			// Stray closing tags are dropped, which HTML does without complaint
+			if (options.misnesting === IGNORE_STRAY || options.misnesting === ADOPTION_AGENCY) {
+				warn("unmatched-closing-tag", start, message)
+			} else if (options.misnesting === STRICT || !options.htmlMode) {
+				report(new UnmatchedClosingTag(end), "unmatched-closing-tag", start, message)
+
+				// Recovering keeps it as text instead, so that nothing written is lost, unless HTML makes an element of it
+				if (!options.htmlMode || (tagName !== "p" && tagName !== "br")) {
+					appendText(source(start, end), start, end)
+					return
+				}
+			}
+
+			if (options.htmlMode && tagName === "p") {
+				// HTML gives a stray '</p>' an empty 'p' of its own to close
+				const tag = nbuf
+
+				nbuf = { start, tagName, rawTagName: "", headEnd: start }
+				openElement(tagName, start, true)
+				nbuf = tag
+				closeElement(start, end, false, [nbuf.headEnd - nbuf.rawTagName.length, nbuf.headEnd])
+			} else if (options.htmlMode && tagName === "br") {
+				// and takes a stray '</br>' for a '<br>'
+				emitSelfClosing(tagName, end)
+			}
+
+			return
+		}
+
+		const inner = opened.slice(opened.length - implied) // the elements left open inside the one being closed
+		const misnested = inner.filter(element => !isEndTagOptional(element.tagName))
+
+		if (misnested.length && options.misnesting === STRICT) {
+			const { tagName: innermost } = misnested[misnested.length - 1]
+
+			report(
+				new MisnestedClosingTagError(tagName, innermost, end),
+				"misnested-closing-tag",
+				start,
+				`Closing tag '${tagName}' closes '${innermost}', which is still open`
+			)
+		}
+
+		for (let n = implied; n > 0; n--) closeElement(start, start, true)
+
+		closeElement(start, end, false, [nbuf.headEnd - nbuf.rawTagName.length, nbuf.headEnd])
+
+		if (options.misnesting === ADOPTION_AGENCY) {
+			// HTML only carries formatting elements on past the closing tag, whereas XML carries on every element
+			for (const element of misnested) {
+				if (!options.htmlMode || FORMATTING_ELEMENTS[element.tagName] === true) reopenElement(element, end)
+			}
+		}
+	}
+	// Elements whose closing tags can be left out in HTML, which are never considered misnested
+	const isEndTagOptional = tagName => options.htmlMode && OPTIONAL_END_TAGS[tagName] === true
+
+	/**
+	 * Applies HTML's foreign content rules to the tag in the node buffer, adjusting the case of SVG tag names and of
+	 * SVG and MathML attribute names, and closing any foreign content the tag can't appear within.
+	 */
+	const enterForeignContent = () => {
+		if (ttype === CL_TAG) {
+			const adjusted = svgTagNames[nbuf.tagName]
+
+			if (adjusted && stack.includes(adjusted)) nbuf.tagName = adjusted
+
+			return
+		}
+
+		const resolved = resolveForeignContent(nbuf.tagName, nbuf.attributes || {}, opened[opened.length - 1]?.content)
+
+		if (resolved.breaksOut) {
+			while (opened.length > base && opened[opened.length - 1].content !== undefined)
+				closeElement(nbuf.start, nbuf.start, true)
+		}
+
+		nbuf.tagName = resolved.tagName
+		nbuf.namespace = resolved.namespace
+		nbuf.content = resolved.content
+
+		if (resolved.namespace && nbuf.attributes) adjustAttributeNames(FOREIGN_ATTRIBUTE_NAMES[resolved.namespace])
+	}
+
+	/**
+	 * Renames the attributes of the tag in the node buffer found in the given table, whatever case they were written in,
+	 * keeping their order. An attribute the adjusted name is already taken by keeps the name it was written with.
+	 *
+	 * @param {{[lowercase: string]: string}} names The adjusted attribute names, keyed by their lowercase form
+	 */
+	const adjustAttributeNames = names => {
+		const attributes = {}
+		const renamed = new Map()
+
+		for (const name in nbuf.attributes) {
+			const lowercase = name.toLowerCase()
+			const adjusted = Object.hasOwn(names, lowercase) ? names[lowercase] : name
+			const isTaken = Object.hasOwn(nbuf.attributes, adjusted) || Object.hasOwn(attributes, adjusted)
+			const key = isTaken ? name : adjusted
+
+			attributes[key] = nbuf.attributes[name]
+
+			if (key !== name) renamed.set(name, key)
+		}
+
+		nbuf.attributes = attributes
+
+		// Positions and syntax records follow the rename, so that serializing writes the attributes as they were found
+		if (nbuf.attributePositions) {
+			nbuf.attributePositions = Object.fromEntries(
+				Object.entries(nbuf.attributePositions).map(([name, at]) => [renamed.get(name) ?? name, at])
+			)
+		}
+		for (const record of nbuf.attributeSyntax || []) {
+			if (renamed.has(record.name)) record.name = renamed.get(record.name)
+		}
+	}
+
+	/**
+	 * Runs text through the text options and emits it.
+	 *
+	 * @param {string} text The text to append
+	 * @param {number} start The index the text starts at
+	 * @param {number} end The index the text ends at
+	 */
+	const appendText = (text, start, end) => {
+		if (options.onText && dropped === 0) {
+			text = options.onText(text, hookContext(position(start, end)))
+
+			if (typeof text !== "string") throw new Error("Expected the result of 'onText' to be a string")
+		}
+		if (opened[opened.length - 1]?.preservesWhitespace !== true) {
+			if (options.trimText) text = text.trim()
+			if (options.truncateText) text = truncateWhitespace(text)
+			if (options.ignoreEmptyText && !text.trim().length) return
+		}
+
+		emitText(text, start, end, true)
+	}
+
+	/**
+	 * Decodes the given text or attribute value, keeping count of the characters declared entities add to the data and
+	 * throwing once they've added more than the data read so far can expand by.
+	 *
+	 * @param {string} string The text or attribute value to decode
+	 * @param {boolean} inAttribute Whether the string is an attribute value
+	 * @param {number} at The index the string starts at
+	 * @returns {string}
+	 */
+	const decodeReferences = (string, inAttribute, at) => {
+		const max = EXPANSION_ALLOWANCE + EXPANSION_RATIO * (at + string.length)
+		const value = decodeEntities(string, options.htmlMode, inAttribute, entities, string.length + max - expanded)
+
+		expanded += Math.max(value.length - string.length, 0)
+
+		if (expanded > max) throw new LimitExceededError("entityExpansion", max, at + 1, "Declared entities expand too far")
+
+		return value
+	}
+
+	/**
+	 * Emits the given text, decoding it when `options.decodeEntities` is enabled and the text is allowed to contain
+	 * character references.
+	 *
+	 * @param {string} text The text to emit
+	 * @param {number} start The index the text starts at
+	 * @param {number} end The index the text ends at
+	 * @param {boolean} decodable Whether the text may contain character references
+	 */
+	const emitText = (text, start, end, decodable) => {
+		// Whitespace only counts as text where it's preserved
+		if (validator.active && (text.trim() || (text && opened[opened.length - 1]?.preservesWhitespace)))
+			validate(validator.text(), start)
+
+		if (options.decodeEntities) {
+			const value = decodable ? decodeReferences(text, false, start) : text
+
+			if (value.length > options.maxTextLength) exceed("maxTextLength", start)
+
+			emit("text", { value, position: position(start, end), raw: text })
+		} else {
+			emit("text", { value: text, position: position(start, end) })
+		}
+	}
+	// Raw text elements in HTML whose content can still contain character references
+	const isEscapableRawText = () => options.htmlMode && ESCAPABLE_RAW_TEXT[stack[stack.length - 1]] === true
+
+	/**
+	 * Emits a processing instruction, splitting its content into the target and data.
+	 *
+	 * @param {string} content Everything between `<?` and `?>`
+	 * @param {number} start The index the instruction starts at
+	 * @param {number} end The index the instruction ends at
+	 * @param {boolean} terminated Whether the instruction ended with `?>`
+	 */
+	const emitProcessingInstruction = (content, start, end, terminated) => {
+		let targetEnd = 0
+
+		while (targetEnd < content.length && !isWhitespace(content[targetEnd])) targetEnd++
+
+		let dataStart = targetEnd
+
+		while (dataStart < content.length && isWhitespace(content[dataStart])) dataStart++
+
+		emit("processingInstruction", {
+			target: content.substring(0, targetEnd),
+			data: content.substring(dataStart),
+			value: terminated ? source(start, end) : `${source(start, end)}?>`,
+			position: position(start, end)
+		})
+	}
+
+	/**
+	 * Emits a document type declaration, splitting its content into the name, external identifiers and internal subset.
+	 * The entities it declares are recognized from then on when `options.decodeEntities` is enabled.
+	 *
+	 * @param {string} content Everything between `<!DOCTYPE` and the closing `>`
+	 * @param {number} start The index the declaration starts at
+	 * @param {number} end The index the declaration ends at
+	 * @param {boolean} terminated Whether the declaration was closed
+	 */
+	const emitDoctype = (content, start, end, terminated) => {
+		const { subsetStart, subsetEnd } = nbuf
+		const header = subsetStart === undefined ? content : content.substring(0, subsetStart - 1)
+		const { name, publicId, systemId } = parseDoctype(header)
+		const internalSubset = subsetStart === undefined ? undefined : content.substring(subsetStart, subsetEnd)
+		const declared = internalSubset ? parseEntityDeclarations(internalSubset) : {}
+		const unclosed = subsetStart !== undefined && subsetEnd === undefined ? C_BRACK : ""
+
+		// Earlier declarations win, the same as within a single internal subset
+		entities = { ...declared, ...entities }
+
+		emit("doctype", {
+			name: options.htmlMode ? name?.toLowerCase() : name,
+			publicId,
+			systemId,
+			internalSubset,
+			entities: declared,
+			value: terminated ? source(start, end) : `${source(start, end)}${unclosed}>`,
+			position: position(start, end)
+		})
+	}
+
+	// Limit Helpers
+	// Limits guard against hostile data rather than malformed data, so they throw even when recovering
+	const exceed = (limit, at) => {
+		throw new LimitExceededError(limit, options[limit], at + 1)
+	}
+	const checkDepth = at => {
+		if (stack.length - base >= options.maxDepth) exceed("maxDepth", at)
+	}
+
+	/**
+	 * Throws once the cbuf has grown past the limit on what it holds - the text of a text node, raw text element,
+	 * comment, CDATA section, processing instruction or doctype, or the value of an attribute - so that data which never
+	 * ends them is stopped where it breaks the limit instead of being buffered until it ends.
+	 */
+	const checkBuffer = () => {
+		const isValue = gate === SQ_A_VAL || gate === DQ_A_VAL || gate === NQ_A_VAL
+		const limit = ntype !== ELEMENT ? "maxTextLength" : isValue ? "maxAttributeValueLength" : undefined
+
+		// The cbuf always ends right before the next character to parse
+		if (limit && cbuf.length > options[limit]) exceed(limit, index - (cbuf.length - options[limit]))
+	}
+
+	// Recovery Helpers
+	const framed = options.recover || warns // whether diagnostics are emitted, each with a code frame
+
+	// Index of the start of the line before the one the given index is on, being where a code frame pointing at the
+	// index starts
+	const frameStart = at => {
+		const point = locator(at + offset)
+		const start = point.offset - (point.column - 1)
+
+		return (point.line > 1 ? start - locator(start - 1).column : start) - offset
+	}
+	const codeFrame = (at, point) => {
+		const start = frameStart(at)
+		const end = dstart + data.length
+
+		// Streaming keeps no more of the data than the lines leading up to the oldest open token
+		if (Math.max(start, 0) < dstart - keptLength) return undefined
+
+		// Lines can start within the leading whitespace trimmed from the data
+		const excerpt = start < 0 ? `${leading.slice(start + offset)}${source(0, end)}` : source(start, end)
+
+		return createCodeFrame(excerpt, { ...point, offset: at - start })
+	}
+	const report = (error, code, at, message, details) => {
+		if (!options.recover) {
+			// Not every error names where it was found, yet anything reporting it needs to know
+			error.charNumber ??= at + 1
+
+			throw error
+		}
+
+		const point = locator(at + offset)
+		const frame = codeFrame(at, point)
+
+		emit("diagnostic", { code, severity: "error", message, ...details, ...point, frame })
+	}
+	const warn = (code, at, message, details) => {
+		const point = locator(at + offset)
+		const frame = codeFrame(at, point)
+
+		emit("diagnostic", { code, severity: "warning", message, ...details, ...point, frame })
+	}
+
+	/**
+	 * Reports the given structural rule violations, throwing on errors unless recovering.
+	 *
+	 * @param {{rule: string, tagName: string, severity: string, message: string}[]} violations
+	 * @param {number} at The index the violations were found at
+	 */
+	const validate = (violations, at) => {
+		for (const { rule, tagName, severity, message } of violations) {
+			if (severity === "warning") {
+				warn("rule-violation", at, message, { rule, tagName })
+			} else {
+				report(new RuleViolationError(rule, tagName, at + 1), "rule-violation", at, message, { rule, tagName })
+			}
+		}
+	}
+	const abandonTag = end => {
+		appendText(source(tstart, end), tstart, end)
+		nbuf = {}
+		abuf = ""
+		cbuf = ""
+		apos = {}
+		gate = undefined
+		ntype = undefined
+		ttype = undefined
+	}
+
+	/**
+	 * Advances the parser by a single character.
+	 *
+	 * @param {string} char The character to parse
+	 * @param {number} i The index of the character within the data
+	 * @param {boolean} [synthetic] Whether the character was inserted by the parser during recovery, in which case it
+	 * takes up no space in the data
+	 */
+	const step = (char, i, synthetic = false) => {
+		const next = synthetic ? i : i + 1 // index directly after the character
+
+		if (options.onSnapshot)
+			options.onSnapshot({
+				currentChar: char,
+				attributesBuffer: abuf,
+				characterBuffer: cbuf,
+				gate,
+				openTag: stack.length ? stack[stack.length - 1] : "ROOT",
+				openNodeType: ntype,
+				openTagType: ttype,
+				rawTextMode: rmode,
+				rawTextBuffer: rmbuf
+			})
+
+		if (rmode) {
+			if (ntype === DOCTYPE) {
+				const { quote, subsetStart, subsetEnd } = nbuf
+				const recent = `${nbuf.recent ?? ""}${char}` // the last few characters, without copying the whole cbuf
+
+				nbuf.recent = recent.slice(-O_COMMENT.length)
+
+				if (nbuf.markup) {
+					// Comments and processing instructions within the internal subset can hold anything
+					const tail = `${nbuf.markup === COMMENT ? `${DASH}${DASH}` : Q_MARK}${GT_SIGN}`
+
+					if (recent.endsWith(tail) && cbuf.length + 1 - nbuf.markupStart >= tail.length) nbuf.markup = undefined
+				} else if (quote) {
+					if (char === quote) nbuf.quote = undefined
+				} else if ((char === S_QUOTE || char === D_QUOTE) && (subsetStart !== undefined || !options.htmlMode)) {
+					// HTML lets a '>' end the declaration even within a quoted identifier
+					nbuf.quote = char
+				} else if (subsetStart === undefined || subsetEnd !== undefined) {
+					if (char === O_BRACK && subsetStart === undefined) {
+						nbuf.subsetStart = cbuf.length + 1
+					} else if (char === GT_SIGN) {
+						emitDoctype(cbuf, tstart, i + 1, true)
+						rmode = false
+						cbuf = ""
+						nbuf = {}
+						ntype = undefined
+						return
+					}
+				} else if (char === C_BRACK) {
+					nbuf.subsetEnd = cbuf.length
+				} else if (recent.endsWith(O_COMMENT)) {
+					nbuf.markup = COMMENT
+					nbuf.markupStart = cbuf.length + 1
+				} else if (recent.endsWith(O_PI)) {
+					nbuf.markup = PROCESSING_INSTRUCTION
+					nbuf.markupStart = cbuf.length + 1
+				}
+			} else if (ntype === PROCESSING_INSTRUCTION) {
+				if (char === GT_SIGN && cbuf.length && cbuf[cbuf.length - 1] === Q_MARK) {
+					emitProcessingInstruction(cbuf.substring(0, cbuf.length - 1), tstart, i + 1, true)
+					rmode = false
+					cbuf = ""
+					ntype = undefined
+					return
+				}
+			} else if (ntype === CDATA) {
+				if (char === C_BRACK) {
+					if (rmbuf === C_BRACK) {
+						rmbuf = `${C_BRACK}${C_BRACK}`
+					} else {
+						rmbuf = C_BRACK
+					}
+				} else if (char === GT_SIGN) {
+					if (rmbuf === `${C_BRACK}${C_BRACK}`) {
+						emitCData(cbuf.substring(0, cbuf.length - 2), tstart, i + 1)
+						rmode = false
+						rmbuf = ""
+						cbuf = ""
+						ntype = undefined
+						return
+					} else {
+						rmbuf = ""
+					}
+				} else {
+					rmbuf = ""
+				}
+			} else {
+				const tagName = stack[stack.length - 1]
+
+				if (char === LT_SIGN) {
+					rmbuf = LT_SIGN
+				} else if (char === F_SLASH) {
+					if (rmbuf === LT_SIGN) {
+						rmbuf = `${LT_SIGN}${F_SLASH}`
+					} else {
+						rmbuf = ""
+					}
+				} else if (char === GT_SIGN) {
+					if (rmbuf.length - 2 === tagName.length && stack.length > base) {
+						const end = i - (tagName.length + 2)
+
+						emitText(cbuf.substring(0, cbuf.length - (tagName.length + 2)), tstart, end, isEscapableRawText())
+						closeElement(end, i + 1)
+						rmode = false
+						rmbuf = ""
+						cbuf = ""
+						ntype = undefined
+						return
+					} else {
+						rmbuf = ""
+					}
+				} else if (rmbuf.length >= 2) {
+					if (tagName[rmbuf.length - 2] === char) {
+						rmbuf = `${rmbuf}${char}`
+					} else {
+						rmbuf = ""
+					}
+				}
+			}
+
+			cbuf = `${cbuf}${char}`
+			return
+		}
+
+		if (char === LT_SIGN) {
+			if (ttype === SC_TAG || (ntype === ELEMENT && gate !== SQ_A_VAL && gate !== DQ_A_VAL)) {
+				report(new UnexpectedTokenError(char, i + 1), "unexpected-token", i, "Unexpected '<' within an unfinished tag")
+
+				// Finish the tag right before the stray '<' when there's one to finish, otherwise it was never a tag
+				if (gate !== SQ_A_VAL && gate !== DQ_A_VAL && (nbuf.tagName || (gate === TAG_NAME && cbuf))) {
+					step(GT_SIGN, i, true)
+				} else {
+					abandonTag(i)
+				}
+
+				return step(char, i)
+			}
+
+			if (!ntype) {
+				ntype = ELEMENT
+				gate = TAG_NAME
+				nbuf.start = tstart = i
+				return
+			} else if (ntype === TEXT) {
+				appendText(cbuf, tstart, i)
+				ntype = ELEMENT
+				gate = TAG_NAME
+				nbuf.start = tstart = i
+				cbuf = ""
+				return
+			}
+		} else if (char === GT_SIGN) {
+			if (ntype === ELEMENT) {
+				if (gate !== SQ_A_VAL && gate !== DQ_A_VAL) {
+					if (gate === TAG_NAME) {
+						setTagName(options.htmlMode ? cbuf.toLowerCase() : cbuf, i)
+					} else if (gate === ATT_NAME) {
+						apos.nameEnd = i
+
+						recordAttribute(cbuf, "", undefined, i)
+					} else if (gate === NQ_A_VAL) {
+						if (options.trimAttributes) cbuf = cbuf.trim()
+						if (options.truncateAttributes) cbuf = truncateWhitespace(cbuf)
+
+						apos.valueEnd = i
+						recordAttribute(abuf, cbuf, "", i)
+						abuf = ""
+					} else if (!gate && abuf) {
+						recordAttribute(abuf, "", undefined, apos.nameEnd)
+						abuf = ""
+					}
+
+					if (options.htmlMode) enterForeignContent()
+
+					// Foreign elements are never void or raw text, and are never closed by HTML's optional tag rules
+					const isForeign = nbuf.namespace !== undefined
+
+					// If a tag is in rawTextElements, it should overwrite a dupe in voidElements,
+					// because how the fuck can a void element have raw text in it?
+					if (!isForeign && voidElements[nbuf.tagName] && !rawTextElements[nbuf.tagName]) ttype = SC_TAG
+
+					// HTML lets some tags close elements that were left open, such as an 'li' closing the previous 'li'
+					if (options.htmlMode && ttype !== CL_TAG && !isForeign) {
+						const implied = Math.min(countImpliedEndTags(nbuf.tagName, stack), stack.length - base)
+
+						for (let n = implied; n > 0; n--) closeElement(nbuf.start, nbuf.start, true)
+					}
+
+					if (!isForeign && ttype !== CL_TAG && rawTextElements[nbuf.tagName]) {
+						rmode = true
+						tstart = next
+
+						openElement(nbuf.tagName, next)
+					} else if (ttype === CL_TAG) {
+						closeMatchingElement(next)
+					} else if (ttype === SC_TAG) {
+						emitSelfClosing(nbuf.tagName, next)
+					} else {
+						openElement(nbuf.tagName, next)
+					}
+
+					cbuf = ""
+					nbuf = {}
+					gate = undefined
+					ntype = undefined
+					ttype = undefined
+					return
+				}
+			} else if (ntype === COMMENT) {
+				if (cbuf[cbuf.length - 2] === DASH && cbuf[cbuf.length - 1] === DASH) {
+					emitComment(`${cbuf}${char}`, tstart, i + 1)
+					cbuf = ""
+					ntype = undefined
+
+					return
+				}
+			}
+		} else if (isWhitespace(char)) {
+			if (ntype === ELEMENT) {
+				if (!gate) return
+
+				if (gate !== SQ_A_VAL && gate !== DQ_A_VAL) {
+					if (cbuf) {
+						if (gate === TAG_NAME) {
+							setTagName(options.htmlMode ? cbuf.toLowerCase() : cbuf, i)
+							cbuf = ""
+							gate = undefined
+							return
+						} else if (gate === ATT_NAME) {
+							apos.nameEnd = i
+							abuf = cbuf
+							cbuf = ""
+							gate = undefined
+							return
+						} else if (gate === NQ_A_VAL) {
+							if (options.trimAttributes) cbuf = cbuf.trim()
+							if (options.truncateAttributes) cbuf = truncateWhitespace(cbuf)
+
+							apos.valueEnd = i
+							recordAttribute(abuf, cbuf, "", i)
+							abuf = ""
+							cbuf = ""
+							gate = undefined
+							return
+						}
+					}
+
+					return
+				}
+			}
+		} else if (char === F_SLASH) {
+			if (ttype === SC_TAG) {
+				report(new UnexpectedTokenError(char, i + 1), "unexpected-token", i, "Unexpected '/' after a self-closing '/'")
+
+				if (gate !== SQ_A_VAL && gate !== DQ_A_VAL) return
+			}
+
+			if (ntype === ELEMENT) {
+				if (gate === TAG_NAME) {
+					if (cbuf) {
+						ttype = SC_TAG
+						setTagName(options.htmlMode ? cbuf.toLowerCase() : cbuf, i)
+						cbuf = ""
+						gate = undefined
+						return
+					} else {
+						ttype = CL_TAG
+						return
+					}
+				} else if (gate === NQ_A_VAL) {
+					ttype = SC_TAG
+
+					if (options.trimAttributes) cbuf = cbuf.trim()
+					if (options.truncateAttributes) cbuf = truncateWhitespace(cbuf)
+
+					apos.valueEnd = i
+					recordAttribute(abuf, cbuf, "", i)
+					abuf = ""
+					cbuf = ""
+					gate = undefined
+					return
+				} else if (!gate) {
+					ttype = SC_TAG
+					return
+				}
+			}
+		} else if (char === EQ_SIGN) {
+			if (gate === ATT_NAME) {
+				apos.nameEnd = i
+				abuf = cbuf
+				cbuf = EQ_SIGN
+				gate = undefined
+				return
+			}
+		} else if ((char === S_QUOTE && gate === SQ_A_VAL) || (char === D_QUOTE && gate === DQ_A_VAL)) {
+			if (options.trimAttributes) cbuf = cbuf.trim()
+			if (options.truncateAttributes) cbuf = truncateWhitespace(cbuf)
+
+			apos.valueEnd = i
+			recordAttribute(abuf, cbuf, char, next)
+			abuf = ""
+			cbuf = ""
+			gate = undefined
+			return
+		} else if (ntype === ELEMENT) {
+			if (gate === TAG_NAME) {
+				// Only names starting with '!' or '?' can turn out to open some other kind of node
+				const lead = cbuf ? cbuf[0] : char
+				const opening = lead === "!" || lead === "?" ? `<${cbuf}${char}` : ""
+
+				if (opening === O_COMMENT) {
+					cbuf = O_COMMENT
+					gate = undefined
+					ntype = COMMENT
+					return
+				} else if (opening.toUpperCase() === O_CDATA) {
+					cbuf = ""
+					gate = undefined
+					ntype = CDATA
+					rmode = true
+					return
+				} else if (opening === O_PI) {
+					gate = undefined
+					ntype = PROCESSING_INSTRUCTION
+					rmode = true
+					return
+				} else if (opening.toUpperCase() === O_DOCTYPE) {
+					cbuf = ""
+					gate = undefined
+					ntype = DOCTYPE
+					rmode = true
+					return
+				}
+			} else if (!gate) {
+				if (abuf) {
+					if (cbuf === EQ_SIGN) {
+						if (char === S_QUOTE || char === D_QUOTE) {
+							cbuf = ""
+							apos.valueStart = i + 1
+
+							if (char === S_QUOTE) {
+								gate = SQ_A_VAL
+							} else if (char === D_QUOTE) {
+								gate = DQ_A_VAL
+							}
+
+							return
+						} else {
+							cbuf = char
+							gate = NQ_A_VAL
+							apos.valueStart = i
+							return
+						}
+					} else if (!cbuf) {
+						recordAttribute(abuf, "", undefined, apos.nameEnd)
+						abuf = ""
+						gate = ATT_NAME
+						apos.nameStart = i
+					}
+				} else if (nbuf.tagName) {
+					gate = ATT_NAME
+					apos.nameStart = i
+				}
+			}
+		}
+
+		if (!ntype) {
+			ntype = TEXT
+			tstart = i
+		}
+
+		cbuf = `${cbuf}${char}`
+	}
+
+	// Whether the tag name read so far can't turn out to open a comment, CDATA section, processing instruction or
+	// document type declaration, which are only told apart from a tag name a character at a time
+	const isPlainName = () => cbuf.length > 0 && cbuf[0] !== "!" && cbuf[0] !== "?"
+
+	/**
+	 * Copies the given string, so that the copy doesn't share memory with the string it was sliced from. V8 keeps the
+	 * whole of a string alive for as long as any slice of it is, which would have the cbuf hold onto every chunk of data
+	 * it spans rather than just the characters it needs.
+	 *
+	 * @param {string} string
+	 * @returns {string}
+	 */
+	const detach = string => ` ${string}`.slice(1)
+
+	/**
+	 * Finds where the run of characters starting at the current index ends, where a run is made of characters `step`
+	 * would do nothing with but add to the cbuf - text up to the next '<', a comment or processing instruction up to the
+	 * next '>', a CDATA section up to the next ']', raw text up to the next '<', a quoted attribute value up to its
+	 * closing quote, and a name or unquoted attribute value up to the next whitespace or character that could end it.
+	 *
+	 * @param {number} end The index directly after the last character of the data
+	 * @returns {number} The index of the first character that has to be stepped through, which is the current index when
+	 * there's no run to skip
+	 */
+	const skipRun = end => {
+		let until // the character that ends the run
+
+		if (rmode) {
+			if (ntype === CDATA && !rmbuf) until = C_BRACK
+			else if (ntype === PROCESSING_INSTRUCTION) until = GT_SIGN
+			else if (!ntype && !rmbuf) until = LT_SIGN
+		} else if (ntype === TEXT) {
+			until = LT_SIGN
+		} else if (ntype === COMMENT) {
+			until = GT_SIGN
+		} else if (ntype === ELEMENT && ttype !== SC_TAG && (gate === SQ_A_VAL || gate === DQ_A_VAL)) {
+			until = gate === SQ_A_VAL ? S_QUOTE : D_QUOTE
+		} else if (ntype === ELEMENT && (gate === ATT_NAME || gate === NQ_A_VAL || (gate === TAG_NAME && isPlainName()))) {
+			NAME_RUN.lastIndex = index - dstart
+
+			return NAME_RUN.test(data) ? NAME_RUN.lastIndex + dstart : index
+		}
+
+		if (until === undefined) return index
+
+		const found = data.indexOf(until, index - dstart)
+
+		return found < 0 ? end : found + dstart
+	}
+
+	/**
+	 * Parses the given text, which is expected to follow whatever text was previously fed.
+	 *
+	 * @param {string} text The text to parse
+	 */
+	const feed = text => {
+		const token = ntype || rmode ? tstart : index
+		const keep = framed ? frameStart(token) : token
+		let drop = 0
+
+		kept.push(data)
+		keptLength += data.length
+		dstart += data.length
+		data = text
+
+		// Forget the chunks that end before the oldest open token starts
+		for (let at = dstart - keptLength; drop < kept.length && at + kept[drop].length <= keep; drop++) {
+			at += kept[drop].length
+			keptLength -= kept[drop].length
+		}
+
+		if (drop) kept.splice(0, drop)
+
+		const end = dstart + data.length
+		const bufferLimit = Math.min(options.maxTextLength, options.maxAttributeValueLength)
+
+		while (index < end) {
+			options.signal?.throwIfAborted()
+
+			const stop = options.onSnapshot ? index : skipRun(end)
+
+			if (stop > index) {
+				cbuf = `${cbuf}${detach(data.slice(index - dstart, stop - dstart))}`
+				index = stop
+			} else {
+				step(data[index - dstart], index)
+				index++
+			}
+
+			if (cbuf.length > bufferLimit) checkBuffer()
+		}
+	}
+
+	/**
+	 * Decodes the given binary data, holding it back until enough has been written to work out its encoding when
+	 * `options.encoding` isn't given.
+	 *
+	 * @param {Uint8Array} [bytes] The data to decode, or nothing to decode whatever is held back
+	 * @returns {string}
+	 */
+	const decode = bytes => {
+		if (!decoder) {
+			if (bytes && held) {
+				const joined = new Uint8Array(held.length + bytes.length)
+
+				joined.set(held)
+				joined.set(bytes, held.length)
+				held = joined
+			} else if (bytes) {
+				held = bytes
+			}
+
+			if (!held || (encoding === undefined && bytes && held.length < SNIFF_LENGTH)) return ""
+
+			decoder = new TextDecoder(encoding ?? sniffEncoding(held, options.htmlMode).encoding, { ignoreBOM: true })
+			bytes = held
+			held = undefined
+		}
+
+		return bytes ? decoder.decode(bytes, { stream: true }) : ""
+	}
+
+	/**
+	 * Opens the element named by `options.context` without emitting it, so that the data is parsed as its content -
+	 * following its raw text, whitespace, foreign content and namespace rules - without ever closing it.
+	 */
+	const openContext = () => {
+		const { tagName, attributes } = options.context
+
+		nbuf = { start: 0, tagName: options.htmlMode ? tagName.toLowerCase() : tagName, attributes: { ...attributes } }
+
+		if (options.htmlMode) enterForeignContent()
+
+		const scope = options.namespaces ? resolveNamespaces(nbuf.tagName).scope : undefined
+
+		if (validator.active) validator.open(nbuf.tagName, false, true)
+
+		stack.push(nbuf.tagName)
+		opened.push({
+			event: { tagName: nbuf.tagName, attributes: nbuf.attributes },
+			tagName: nbuf.tagName,
+			content: nbuf.content,
+			scope,
+			isDropped: false,
+			preservesWhitespace: preservesWhitespace(nbuf.tagName)
+		})
+
+		// There's no closing tag for the content of a raw text context to end at, so all of it is text
+		if (nbuf.namespace === undefined && rawTextElements[nbuf.tagName] === true) {
+			rmode = true
+			tstart = 0
+		}
+
+		nbuf = {}
+	}
+
+	if (options.context) openContext()
+
+	const parser = {
+		/**
+		 * Parses the given chunk of data.
+		 *
+		 * @param {string|Buffer|Uint8Array} chunk The chunk to parse
+		 * @returns {object} The parser itself for chaining
+		 */
+		write(chunk) {
+			if (ended) throw new Error("Cannot write to a parser that has already ended")
+			if (typeof chunk !== "string" && !(chunk instanceof Uint8Array))
+				throw new TypeError("Expected 'chunk' to be a string, Buffer or Uint8Array")
+
+			options.signal?.throwIfAborted()
+
+			if (typeof chunk !== "string") chunk = decode(chunk)
+			else if (held) chunk = `${decode()}${chunk}`
+
+			length += chunk.length
+
+			// Counted over the whole of the data, leading whitespace included
+			if (length > options.maxInputLength) exceed("maxInputLength", options.maxInputLength)
+			if (locator) locator.append(chunk)
+
+			// Mimic trimming the data as a whole
+			if (!started) {
+				const trimmed = chunk.trimStart()
+
+				offset += chunk.length - trimmed.length
+				leading = `${leading}${chunk.slice(0, chunk.length - trimmed.length)}`
+				chunk = trimmed
+				started = !!chunk.length
+			}
+
+			// Only the chunk itself is trimmed, as what's pending is already known to be whitespace
+			const trimmed = chunk.trimEnd()
+
+			if (trimmed) {
+				feed(`${pending}${trimmed}`)
+				pending = chunk.slice(trimmed.length)
+			} else {
+				pending = `${pending}${chunk}`
+			}
+
+			return parser
+		},
+
+		/**
+		 * Parses the final chunk of data, if any, and finishes parsing.
+		 *
+		 * @param {string|Buffer|Uint8Array} [chunk] The final chunk to parse
+		 */
+		end(chunk) {
+			if (ended) throw new Error("Cannot end a parser that has already ended")
+			if (chunk !== undefined) parser.write(chunk)
+
+			parser.write(`${decode()}${decoder ? decoder.decode() : ""}`)
+			ended = true
+
+			if (ntype === TEXT) {
+				appendText(cbuf, tstart, index)
+			} else if (rmode && !ntype && stack.length === base) {
+				// The raw text of a fragment within a raw text element runs to the end of the data
+				if (cbuf) emitText(cbuf, tstart, index, isEscapableRawText())
+			} else if (ntype || rmode) {
+				const eof = index
+
+				if (ntype === DOCTYPE) {
+					report(
+						new UnexpectedEndOfInputError(),
+						"unterminated-doctype",
+						tstart,
+						"Document type declaration is never terminated"
+					)
+
+					emitDoctype(cbuf, tstart, eof, false)
+					nbuf = {}
+				} else if (ntype === PROCESSING_INSTRUCTION) {
+					report(
+						new UnexpectedEndOfInputError(),
+						"unterminated-processing-instruction",
+						tstart,
+						"Processing instruction is never terminated"
+					)
+
+					emitProcessingInstruction(cbuf, tstart, eof, false)
+				} else if (ntype === CDATA) {
+					report(new UnexpectedEndOfInputError(), "unterminated-cdata", tstart, "CDATA section is never terminated")
+					emitCData(cbuf, tstart, eof)
+				} else if (ntype === COMMENT) {
+					report(new UnexpectedEndOfInputError(), "unterminated-comment", tstart, "Comment is never terminated")
+
+					emitComment(`${cbuf}-->`, tstart, eof)
+				} else if (rmode) {
+					report(
+						new UnexpectedEndOfInputError(),
+						"unterminated-raw-text",
+						tstart,
+						`Raw text element '${stack[stack.length - 1]}' is never closed`
+					)
+
+					emitText(cbuf, tstart, eof, isEscapableRawText())
+				} else {
+					report(new UnexpectedEndOfInputError(), "unexpected-end-of-input", eof, "Tag is never finished")
+
+					// Finish the tag at the end of the data, closing any open quotes first
+					if (gate === SQ_A_VAL) step(S_QUOTE, eof, true)
+					if (gate === DQ_A_VAL) step(D_QUOTE, eof, true)
+					if (nbuf.tagName || (gate === TAG_NAME && cbuf)) {
+						step(GT_SIGN, eof, true)
+					} else {
+						abandonTag(eof)
+					}
+				}
+			}
+
+			if (options.misnesting === STRICT) {
+				const unclosed = stack.slice(base).findLast(tagName => !isEndTagOptional(tagName))
+
+				if (unclosed !== undefined)
+					report(new UnexpectedEndOfInputError(), "unclosed-element", index, `Element '${unclosed}' is never closed`)
+			}
+
+			// Elements left open by the end of the data close where the data ends
+			while (stack.length > base) closeElement(index, index, true)
+
+			const event = { position: position(-offset, length - offset), leading, trailing: pending }
+
+			if (options.context) event.context = stack[0]
+
+			// Only known for binary data
+			if (decoder) event.encoding = decoder.encoding
+
+			emit("end", event)
+		}
+	}
+
+	return parser
+}
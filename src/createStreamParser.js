@@ -0,0 +1,258 @@
+import { Node, CDATA, COMMENT, ELEMENT, TEXT } from "virty"
+import createSaxParser from "./createSaxParser.js"
+import Doctype from "./Doctype.js"
+import ProcessingInstruction from "./ProcessingInstruction.js"
+import createAttributeParser from "./utils/createAttributeParser.js"
+import hashArray from "./utils/hashArray.js"
+
+/**
+ * Creates a push-style parser that accepts HTML/XML data in chunks, keeping its place between chunks so that they can
+ * be split anywhere - even in the middle of a tag, attribute, comment, or CDATA section. The resulting structure is the
+ * same as if the joined chunks were passed to `parse`.
+ *
+ * Nodes left out by the filtering options (`ignoreAttributes`, `ignoreCommentNodes`, `ignoreElementNodes`,
+ * `ignoreTextNodes`, `excludeElements` and `includeElements`) are never built in the first place.
+ *
+ * @param {object} [options] Accepts the same options as `parse`
+ * @returns {{write: (chunk: string|Buffer|Uint8Array) => object, end: (chunk?: string|Buffer|Uint8Array) => Node}}
+ */
+export default function createStreamParser(options = {}) {
+	// Set default options on a copy, so the options given can be used again
+	options = Object.prototype.toString.call(options) === "[object Object]" ? { ...options } : {}
+	if (typeof options.attributeRecords !== "boolean") options.attributeRecords = false
+	if (typeof options.ignoreAttributes !== "boolean") options.ignoreAttributes = false
+	if (typeof options.ignoreCommentNodes !== "boolean") options.ignoreCommentNodes = false
+	if (typeof options.ignoreElementNodes !== "boolean") options.ignoreElementNodes = false
+	if (typeof options.ignoreTextNodes !== "boolean") options.ignoreTextNodes = false
+	if (
+		typeof options.parseAttributes !== "boolean" &&
+		Object.prototype.toString.call(options.parseAttributes) !== "[object Object]"
+	)
+		options.parseAttributes = false
+
+	const excludeElements = hashArray(Array.isArray(options.excludeElements) ? options.excludeElements : [], options.htmlMode)
+	const includeElements = Array.isArray(options.includeElements)
+		? hashArray(options.includeElements, options.htmlMode)
+		: undefined
+
+	const parseAttribute = createAttributeParser(options.parseAttributes, options.htmlMode)
+
+	const root = new Node({ type: ELEMENT, tagName: "ROOT" })
+	const diagnostics = []
+	const opened = [] // whether each of the currently open elements was built, and whether it's an included element
+	let node = root // the currently open node
+	let excluded = 0 // open elements within an excluded subtree
+	let included = 0 // open elements named by options.includeElements
+
+	if (options.recover === true) root.diagnostics = diagnostics
+
+	// Whether nodes found at this point are left out, regardless of their type
+	const skipping = () => excluded > 0 || (includeElements !== undefined && included === 0)
+
+	/**
+	 * Works out whether the element of the given tag event is built, keeping track of excluded and included subtrees.
+	 *
+	 * @param {string} tagName The name of the element
+	 * @param {boolean} isSelfClosing Whether the element closes right away
+	 * @returns {boolean}
+	 */
+	const enterElement = (tagName, isSelfClosing) => {
+		const isExcluded = excluded > 0 || excludeElements[tagName] === true
+		const isIncluded = !isExcluded && includeElements?.[tagName] === true
+		const built = !isExcluded && !options.ignoreElementNodes && (isIncluded || !skipping())
+
+		if (!isSelfClosing) {
+			if (isExcluded) excluded++
+			if (isIncluded) included++
+
+			opened.push({ built, isIncluded })
+		}
+
+		return built
+	}
+
+	/**
+	 * Coerces the attributes of an element following `options.parseAttributes`.
+	 *
+	 * @param {string} tagName The name of the element
+	 * @param {{[name: string]: string}} attributes The attributes of the element
+	 * @param {object[]} records The syntax records of the attributes, which tell whether each was written without a value
+	 * @returns {{[name: string]: *}}
+	 */
+	const parseAttributes = (tagName, attributes, records) => {
+		const parsed = {}
+
+		for (const name in attributes) {
+			const record = records.findLast(record => record.name === name && !record.isIgnored)
+			const isBare = record !== undefined && record.quote === undefined && record.value === attributes[name]
+
+			parsed[name] = parseAttribute(tagName, name, attributes[name], isBare)
+		}
+
+		return parsed
+	}
+
+	const append = (nnode, position, syntax) => {
+		if (position) nnode.position = position
+		if (syntax) nnode.syntax = syntax
+		node.appendChild(nnode)
+
+		return nnode
+	}
+	const appendElement = ({ tagName, attributes, position, syntax, implied, ...names }, isSelfClosing) => {
+		const repeated = {}
+
+		// Elements hold a single value per attribute, so the values collected by options.duplicateAttributes are set aside
+		for (const name in attributes) {
+			if (Array.isArray(attributes[name])) {
+				repeated[name] = attributes[name]
+				attributes = { ...attributes, [name]: repeated[name][repeated[name].length - 1] }
+			}
+		}
+
+		const element = new Node({
+			type: ELEMENT,
+			tagName,
+			attributes: options.ignoreAttributes ? {} : attributes,
+			isSelfClosing
+		})
+
+		// Elements opened again after being closed early by a misnested closing tag
+		if (implied) element.implicitlyOpened = true
+
+		if (!options.ignoreAttributes) {
+			if (Object.keys(repeated).length) element.repeatedAttributes = repeated
+
+			// Typed values can't be stored as attributes, which only hold strings, numbers and booleans
+			if (parseAttribute) element.parsedAttributes = parseAttributes(tagName, attributes, syntax.attributes)
+
+			if (options.attributeRecords) {
+				element.attributeRecords = syntax.attributes.map(({ name, value, quote }) => ({
+					name,
+					value,
+					quote,
+					isBare: quote === undefined
+				}))
+			}
+		}
+
+		// Only present when resolving namespaces
+		if (names.localName !== undefined) {
+			element.prefix = names.prefix
+			element.localName = names.localName
+			element.namespaceURI = names.namespaceURI
+			element.attributeNamespaces = names.attributeNamespaces
+		}
+
+		return append(
+			element,
+			position && {
+				start: position.start,
+				end: position.end,
+				openTag: { start: position.start, end: position.end },
+				closeTag: undefined,
+				attributes: position.attributes
+			},
+			{ ...syntax, closeTag: undefined }
+		)
+	}
+
+	const sax = createSaxParser(
+		{
+			openTag(event) {
+				if (enterElement(event.tagName, false)) node = appendElement(event, false)
+			},
+			closeTag({ position, implied, raw }) {
+				const { built, isIncluded } = opened.pop()
+
+				if (excluded > 0) excluded--
+				if (isIncluded) included--
+				if (!built) return
+
+				if (position) {
+					node.position.end = implied ? position.start : position.end
+					if (!implied) node.position.closeTag = position
+				}
+				if (implied) {
+					node.implicitlyClosed = true
+				} else {
+					node.syntax.closeTag = raw
+				}
+
+				node = node.parent
+			},
+			selfClosing(event) {
+				if (enterElement(event.tagName, true)) appendElement(event, true)
+			},
+			text({ value, position, raw }) {
+				if (options.ignoreTextNodes || skipping()) return
+
+				// Text is raw unless it was decoded, and is kept as it was found so that serialize doesn't escape it
+				append(new Node({ type: TEXT, value }), position, { raw: raw ?? value })
+			},
+			comment({ value, position }) {
+				if (options.ignoreCommentNodes || skipping()) return
+
+				append(new Node({ type: COMMENT, value }), position)
+			},
+			cdata({ value, position, raw }) {
+				if (skipping()) return
+
+				// The value may have been replaced by options.onCDATA, so the close is only read from the raw section
+				const close = raw.length >= 12 && raw.endsWith("]]>") ? "]]>" : ""
+
+				append(new Node({ type: CDATA, value }), position, { open: raw.slice(0, 9), close })
+			},
+			processingInstruction({ target, data, value, position }) {
+				if (skipping()) return
+
+				append(new ProcessingInstruction({ target, data, value }), position)
+			},
+			doctype({ name, publicId, systemId, internalSubset, entities, value, position }) {
+				if (skipping()) return
+
+				append(new Doctype({ name, publicId, systemId, internalSubset, entities, value }), position)
+			},
+			diagnostic(diagnostic) {
+				// Warnings are collected even when not recovering
+				diagnostics.push(diagnostic)
+				root.diagnostics = diagnostics
+			},
+			end({ position, leading, trailing, encoding, context }) {
+				if (position) root.position = position
+				if (encoding) root.encoding = encoding
+				if (context) root.context = context
+				root.syntax = { leading, trailing }
+			}
+		},
+		options
+	)
+
+	const parser = {
+		/**
+		 * Parses the given chunk of data.
+		 *
+		 * @param {string|Buffer|Uint8Array} chunk The chunk to parse
+		 * @returns {object} The parser itself for chaining
+		 */
+		write(chunk) {
+			sax.write(chunk)
+
+			return parser
+		},
+
+		/**
+		 * Parses the final chunk of data, if any, and finishes parsing.
+		 *
+		 * @param {string|Buffer|Uint8Array} [chunk] The final chunk to parse
+		 * @returns {Node} The root node
+		 */
+		end(chunk) {
+			sax.end(chunk)
+
+			return root
+		}
+	}
+
+	return parser
+}
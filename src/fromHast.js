@@ -0,0 +1,113 @@
+import { Node, COMMENT, ELEMENT, TEXT } from "virty"
+import Doctype from "./Doctype.js"
+import copyPosition from "./utils/copyPosition.js"
+import hashArray from "./utils/hashArray.js"
+import { toAttributes } from "./utils/hastProperties.js"
+import resolveForeignContent from "./utils/resolveForeignContent.js"
+
+// Elements written without a closing tag
+const VOID_ELEMENTS = hashArray([
+	"area",
+	"base",
+	"basefont",
+	"bgsound",
+	"br",
+	"col",
+	"embed",
+	"frame",
+	"hr",
+	"img",
+	"input",
+	"keygen",
+	"link",
+	"meta",
+	"param",
+	"source",
+	"track",
+	"wbr"
+])
+
+// Elements whose text is written as it is, since character references aren't read within them
+const RAW_TEXT_ELEMENTS = hashArray(["iframe", "noembed", "noframes", "plaintext", "script", "style", "xmp"])
+
+/**
+ * Converts a hast node, from rehype or the rest of the unified ecosystem, into the nodes `parse` returns - the reverse
+ * of `toHast`. A `root` node becomes the `ROOT` element, properties become attributes, the `content` of a `template`
+ * element becomes its children, and `raw` nodes become text that's written as it is. Nodes keep any `position` they
+ * have.
+ *
+ * Text and attribute values are kept the way `parse` keeps them with `decodeEntities`, so that `serialize` escapes
+ * them where they need to be.
+ *
+ * @param {object} hast The hast node to convert, usually a `root`
+ * @returns {Node}
+ */
+export default function fromHast(hast) {
+	if (typeof hast?.type !== "string") throw new TypeError("Expected 'hast' to be a hast node")
+
+	/**
+	 * Converts a single node, leaving its children to be filled in.
+	 *
+	 * @param {object} hast
+	 * @param {Node} [parent] The element the node is converted into the children of
+	 * @param {"svg"|"math"} [space] The foreign content the node appears within, if any
+	 * @returns {{node: Node, children?: object[], content?: "svg"|"math"}} The node, the hast nodes its children are
+	 * converted from, and the foreign content they appear within
+	 */
+	const convert = (hast, parent, space) => {
+		let node, children, content
+
+		if (hast.type === "root") {
+			node = new Node({ type: ELEMENT, tagName: "ROOT" })
+			children = hast.children ?? []
+		} else if (hast.type === "element") {
+			const properties = hast.properties ?? {}
+			const foreign = resolveForeignContent(hast.tagName, properties, space)
+			const isHTML = foreign.namespace === undefined
+
+			node = new Node({
+				type: ELEMENT,
+				tagName: hast.tagName,
+				attributes: toAttributes(properties, isHTML),
+				isSelfClosing: isHTML && VOID_ELEMENTS[hast.tagName] === true
+			})
+			children = hast.content?.children ?? hast.children ?? []
+			content = foreign.content
+		} else if (hast.type === "text") {
+			node = new Node({ type: TEXT, value: hast.value })
+
+			if (space === undefined && RAW_TEXT_ELEMENTS[parent?.tagName] === true) node.syntax = { raw: hast.value }
+		} else if (hast.type === "raw") {
+			node = new Node({ type: TEXT, value: hast.value })
+			node.syntax = { raw: hast.value }
+		} else if (hast.type === "comment") {
+			node = new Node({ type: COMMENT, value: `<!--${hast.value}-->` })
+		} else if (hast.type === "doctype") {
+			node = new Doctype({ name: "html" })
+		} else {
+			throw new TypeError(`Expected a hast node, got an unknown node of type '${hast.type}'`)
+		}
+
+		const position = copyPosition(hast.position)
+
+		if (position) node.position = position
+
+		return { node, children, content }
+	}
+
+	const { node, children, content } = convert(hast)
+	const queue = children ? [[node, children, content]] : [] // converted nodes whose children are left to convert
+
+	while (queue.length) {
+		const [parent, hasts, space] = queue.pop()
+
+		for (const hast of hasts) {
+			const { node, children, content } = convert(hast, parent, space)
+
+			parent.appendChild(node)
+			if (children) queue.push([node, children, content])
+		}
+	}
+
+	return node
+}
@@ -0,0 +1,72 @@
+import { Node, CDATA, COMMENT, ELEMENT, TEXT } from "virty"
+import Doctype from "./Doctype.js"
+import ProcessingInstruction from "./ProcessingInstruction.js"
+import copyPosition from "./utils/copyPosition.js"
+
+/**
+ * Converts a xast node, from the unified ecosystem, into the nodes `parse` returns - the reverse of `toXast`. A `root`
+ * node becomes the `ROOT` element, `instruction` nodes become processing instructions, and `raw` nodes become text
+ * that's written as it is. Nodes keep any `position` they have.
+ *
+ * Text and attribute values are kept the way `parse` keeps them with `decodeEntities`, so that `serialize` escapes
+ * them where they need to be.
+ *
+ * @param {object} xast The xast node to convert, usually a `root`
+ * @returns {Node}
+ */
+export default function fromXast(xast) {
+	if (typeof xast?.type !== "string") throw new TypeError("Expected 'xast' to be a xast node")
+
+	/**
+	 * Converts a single node, leaving its children to be filled in.
+	 *
+	 * @param {object} xast
+	 * @returns {Node}
+	 */
+	const convert = xast => {
+		let node
+
+		if (xast.type === "root") {
+			node = new Node({ type: ELEMENT, tagName: "ROOT" })
+		} else if (xast.type === "element") {
+			node = new Node({ type: ELEMENT, tagName: xast.name, attributes: { ...xast.attributes } })
+		} else if (xast.type === "text") {
+			node = new Node({ type: TEXT, value: xast.value })
+		} else if (xast.type === "raw") {
+			node = new Node({ type: TEXT, value: xast.value })
+			node.syntax = { raw: xast.value }
+		} else if (xast.type === "cdata") {
+			node = new Node({ type: CDATA, value: xast.value })
+		} else if (xast.type === "comment") {
+			node = new Node({ type: COMMENT, value: `<!--${xast.value}-->` })
+		} else if (xast.type === "instruction") {
+			node = new ProcessingInstruction({ target: xast.name, data: xast.value })
+		} else if (xast.type === "doctype") {
+			node = new Doctype({ name: xast.name, publicId: xast.public, systemId: xast.system })
+		} else {
+			throw new TypeError(`Expected a xast node, got an unknown node of type '${xast.type}'`)
+		}
+
+		const position = copyPosition(xast.position)
+
+		if (position) node.position = position
+
+		return node
+	}
+
+	const node = convert(xast)
+	const queue = xast.children ? [[node, xast.children]] : [] // converted nodes whose children are left to convert
+
+	while (queue.length) {
+		const [parent, xasts] = queue.pop()
+
+		for (const xast of xasts) {
+			const node = convert(xast)
+
+			parent.appendChild(node)
+			if (xast.children) queue.push([node, xast.children])
+		}
+	}
+
+	return node
+}
@@ -0,0 +1,27 @@
+import createStreamParser from "./createStreamParser.js"
+
+/**
+ * Parses HTML/XML data as the content of the given context element, rather than as a document - e.g. a `<tr>` as the
+ * content of a `tbody`, or the text of a `textarea`. The context decides the raw text mode, optional tag, foreign
+ * content and namespace rules the data starts out with, and is never closed by it.
+ *
+ * The result is a fragment node, a `ROOT` element whose `context` names the element it was parsed within. Its children
+ * can be spliced into an existing tree with `appendChild(fragment.children)` and the like.
+ *
+ * @param {string|Buffer|Uint8Array} data The HTML/XML data to parse
+ * @param {object} options Accepts the same options as `parse`
+ * @param {string|{tagName: string, attributes?: {[name: string]: string}}} options.context The name of the element
+ * the data is parsed within, or the element along with its attributes, which can declare namespaces or set `xml:space`
+ * @returns {Node}
+ */
+export default function parseFragment(data, options = {}) {
+	if (typeof data !== "string" && !(data instanceof Uint8Array))
+		throw new TypeError("Expected 'data' to be a string, Buffer or Uint8Array")
+
+	const tagName = typeof options?.context === "string" ? options.context : options?.context?.tagName
+
+	if (typeof tagName !== "string" || !tagName.length)
+		throw new TypeError("Expected 'options.context' to be a tag name or an object with a 'tagName'")
+
+	return createStreamParser(options).end(data)
+}
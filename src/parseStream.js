@@ -0,0 +1,19 @@
+import createStreamParser from "./createStreamParser.js"
+
+/**
+ * Parses HTML/XML data from a readable stream or any other (async) iterable of chunks.
+ *
+ * @param {AsyncIterable<string|Buffer|Uint8Array>|Iterable<string|Buffer|Uint8Array>} stream The stream to parse
+ * @param {object} [options] Accepts the same options as `parse`
+ * @returns {Promise<Node>} The root node, once the stream has ended
+ */
+export default async function parseStream(stream, options = {}) {
+	if (typeof stream?.[Symbol.asyncIterator] !== "function" && typeof stream?.[Symbol.iterator] !== "function")
+		throw new TypeError("Expected 'stream' to be an async iterable or iterable")
+
+	const parser = createStreamParser(options)
+
+	for await (const chunk of stream) parser.write(chunk)
+
+	return parser.end()
+}
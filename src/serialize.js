@@ -0,0 +1,174 @@
+import { CDATA, COMMENT, ELEMENT, TEXT } from "virty"
+import { DOCTYPE, formatDoctype } from "./Doctype.js"
+import { PROCESSING_INSTRUCTION } from "./ProcessingInstruction.js"
+import escapeText from "./utils/escapeText.js"
+import isWhitespace from "./utils/isWhitespace.js"
+
+/**
+ * Formats an attribute, preferring the given quote style when the value allows it.
+ *
+ * @param {string} name The name of the attribute
+ * @param {string|number|boolean} value The value of the attribute
+ * @param {string} [quote] The quote to wrap the value in, an empty string to leave it unquoted, or `undefined` to leave
+ * out an empty value altogether
+ * @param {boolean} [isRaw] Whether the value is written the way it was found, rather than holding the characters it
+ * stands for, which need escaping
+ * @returns {string}
+ */
+const formatAttribute = (name, value, quote, isRaw = false) => {
+	value = isRaw ? `${value}` : `${value}`.replaceAll("&", "&amp;")
+
+	if (quote === undefined && !value.length) return name
+	if (quote === "" && /^[^\s"'=<>`]+$/.test(value)) return `${name}=${value}`
+	if (quote !== "'") quote = '"'
+	if (value.includes(quote)) {
+		const other = quote === '"' ? "'" : '"'
+
+		if (value.includes(other)) {
+			value = value.replaceAll(quote, quote === '"' ? "&quot;" : "&#39;")
+		} else {
+			quote = other
+		}
+	}
+
+	return `${name}=${quote}${value}${quote}`
+}
+
+/**
+ * Returns the whitespace the given string starts with.
+ *
+ * @param {string} string
+ * @returns {string}
+ */
+const leadingWhitespace = string => {
+	let i = 0
+
+	while (i < string.length && isWhitespace(string[i])) i++
+
+	return string.slice(0, i)
+}
+
+/**
+ * Converts the given node and its descendants back into HTML/XML.
+ *
+ * Nodes created by `parse` remember how they were written, so by default the original data is reproduced exactly -
+ * whitespace within tags, attribute quotes, tag name casing, and the whitespace trimmed from either end of the data
+ * included. Attributes added, changed, or removed after parsing are written as close to the original style of the tag
+ * as possible, and nodes created after parsing are written in the normalized style. The `ROOT` element only contributes
+ * its children.
+ *
+ * @param {Node} node The node to serialize, usually the root node returned by `parse`
+ * @param {object} [options]
+ * @param {boolean} [options.normalize] Ignores how nodes were originally written, producing consistent output instead: double-quoted attributes, tag names as parsed, explicit closing tags, and no surrounding whitespace
+ * @returns {string}
+ */
+export default function serialize(node, options = {}) {
+	if (typeof node?.type !== "string") throw new TypeError("Expected 'node' to be a Node")
+
+	// Set default options on a copy, so the options given can be used again
+	options = Object.prototype.toString.call(options) === "[object Object]" ? { ...options } : {}
+	if (typeof options.normalize !== "boolean") options.normalize = false
+
+	const syntaxOf = node => (options.normalize ? undefined : node.syntax)
+
+	const openTag = element => {
+		const syntax = syntaxOf(element)
+		const attributes = element.attributes
+
+		if (!syntax) {
+			const records = element.syntax?.attributes || []
+			let tag = `<${element.tagName}`
+
+			for (const name in attributes) {
+				// Values left as they were parsed are written the way they were found, anything else is escaped
+				const record = records.findLast(record => record.name === name && !record.isIgnored)
+				const isParsed = record !== undefined && record.value === attributes[name]
+
+				const value = isParsed ? (record.rawValue ?? record.value) : attributes[name]
+
+				tag += ` ${formatAttribute(name, value, '"', isParsed)}`
+			}
+
+			return `${tag}${element.isSelfClosing ? " /" : ""}>`
+		}
+
+		// Elements opened again by the parser had no opening tag to begin with
+		if (element.implicitlyOpened) return ""
+
+		const parsed = {} // the value each attribute ended up with when parsed
+		const written = {}
+		let tag = `${syntax.open}${syntax.rawTagName}`
+
+		// Repeated attributes dropped by the parser's duplicateAttributes option never set a value
+		for (const { name, value, isIgnored } of syntax.attributes) {
+			if (!isIgnored) parsed[name] = value
+		}
+		for (const { name, quote, raw } of syntax.attributes) {
+			if (!Object.prototype.hasOwnProperty.call(attributes, name)) continue
+
+			if (attributes[name] === parsed[name]) {
+				tag += raw
+			} else if (!written[name]) {
+				tag += `${leadingWhitespace(raw)}${formatAttribute(name, attributes[name], quote)}`
+			}
+
+			written[name] = true
+		}
+		for (const name in attributes) {
+			if (!written[name]) tag += ` ${formatAttribute(name, attributes[name], '"')}`
+		}
+
+		return `${tag}${syntax.tail}`
+	}
+	const closeTag = element => {
+		const syntax = syntaxOf(element)
+
+		// Elements that were closed implicitly had no closing tag to begin with
+		return syntax ? syntax.closeTag ?? "" : `</${element.tagName}>`
+	}
+
+	let output = ""
+	const queue = [node] // nodes left to serialize in reverse order, with strings standing in for closing tags
+
+	while (queue.length) {
+		const current = queue.pop()
+
+		if (typeof current === "string") {
+			output += current
+		} else if (current.type === ELEMENT) {
+			const children = current.children
+
+			if (current.tagName === "ROOT" && !current.parent) {
+				const syntax = syntaxOf(current)
+
+				output += syntax?.leading ?? ""
+				queue.push(syntax?.trailing ?? "")
+			} else {
+				output += openTag(current)
+
+				if (current.isSelfClosing) continue
+
+				queue.push(closeTag(current))
+			}
+
+			for (let i = children.length - 1; i >= 0; i--) queue.push(children[i])
+		} else if (current.type === CDATA) {
+			const syntax = syntaxOf(current)
+
+			output += `${syntax?.open ?? "<![CDATA["}${current.value}${syntax?.close ?? "]]>"}`
+		} else if (current.type === TEXT) {
+			// Parsed text is written the way it was found, while text created afterwards is escaped
+			output += current.syntax?.raw ?? escapeText(current.value)
+		} else if (current.type === COMMENT) {
+			output += current.value
+		} else if (current.type === PROCESSING_INSTRUCTION) {
+			output += options.normalize
+				? `<?${current.target}${current.data.length ? ` ${current.data}` : ""}?>`
+				: current.value
+		} else if (current.type === DOCTYPE) {
+			output += options.normalize ? formatDoctype(current) : current.value
+		}
+	}
+
+	return output
+}
@@ -0,0 +1,82 @@
+import { CDATA, COMMENT, ELEMENT, TEXT } from "virty"
+import { PROCESSING_INSTRUCTION } from "./ProcessingInstruction.js"
+import copyPosition from "./utils/copyPosition.js"
+import { toProperties } from "./utils/hastProperties.js"
+import resolveForeignContent from "./utils/resolveForeignContent.js"
+import unwrapComment from "./utils/unwrapComment.js"
+
+/**
+ * Converts a node into hast, the syntax tree rehype and the rest of the unified ecosystem work with for HTML. The
+ * `ROOT` element becomes a `root` node, attributes become hast properties (e.g. `class` becomes a `className` list),
+ * CDATA sections become text, processing instructions become comments the way HTML reads them, and the content of a
+ * `template` element becomes its `content` fragment. Nodes parsed with `positions` keep where they were found.
+ *
+ * Values are carried over as they are, so data should be parsed with `decodeEntities` for text and attribute values to
+ * hold the characters they stand for, as hast expects.
+ *
+ * @param {Node} node The node to convert, usually the root node returned by `parse`
+ * @returns {object} The hast node
+ */
+export default function toHast(node) {
+	if (typeof node?.type !== "string") throw new TypeError("Expected 'node' to be a Node")
+
+	/**
+	 * Converts a single node, leaving its children to be filled in.
+	 *
+	 * @param {Node} node
+	 * @param {"svg"|"math"} [space] The foreign content the node appears within, if any
+	 * @returns {{hast: object, children?: object[], content?: "svg"|"math"}} The hast node, the list its children
+	 * belong in, and the foreign content they appear within
+	 */
+	const convert = (node, space) => {
+		let hast, children, content
+
+		if (node.type === ELEMENT && node.tagName === "ROOT" && !node.parent) {
+			hast = { type: "root", children: [] }
+			children = hast.children
+		} else if (node.type === ELEMENT) {
+			const foreign = resolveForeignContent(node.tagName, node.attributes, space)
+			const properties = toProperties(node.attributes, foreign.namespace === undefined)
+
+			hast = { type: "element", tagName: node.tagName, properties, children: [] }
+			children = hast.children
+			content = foreign.content
+
+			if (foreign.namespace === undefined && node.tagName === "template") {
+				hast.content = { type: "root", children: [] }
+				children = hast.content.children
+			}
+		} else if (node.type === TEXT || node.type === CDATA) {
+			hast = { type: "text", value: node.value }
+		} else if (node.type === COMMENT) {
+			hast = { type: "comment", value: unwrapComment(node.value) }
+		} else if (node.type === PROCESSING_INSTRUCTION) {
+			// HTML reads `<?target data?>` as the comment `?target data?`
+			hast = { type: "comment", value: node.value.slice(1, node.value.endsWith(">") ? -1 : undefined) }
+		} else {
+			hast = { type: "doctype" }
+		}
+
+		const position = copyPosition(node.position)
+
+		if (position) hast.position = position
+
+		return { hast, children, content }
+	}
+
+	const { hast, children, content } = convert(node)
+	const queue = children ? [[node, children, content]] : [] // converted nodes whose children are left to convert
+
+	while (queue.length) {
+		const [parent, siblings, space] = queue.pop()
+
+		for (const child of parent.children) {
+			const { hast, children, content } = convert(child, space)
+
+			siblings.push(hast)
+			if (children) queue.push([child, children, content])
+		}
+	}
+
+	return hast
+}
@@ -0,0 +1,140 @@
+import { CDATA, ELEMENT, TEXT } from "virty"
+import coerceValue from "./utils/coerceValue.js"
+import hashArray from "./utils/hashArray.js"
+
+/**
+ * Sets a property even when its name is `__proto__`, since names come from the data.
+ *
+ * @param {object} object
+ * @param {string} key
+ * @param {*} value
+ */
+const define = (object, key, value) =>
+	Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true })
+
+/**
+ * Converts an element, or the root node returned by `parse`, into a plain object the way XML data binding libraries
+ * do - e.g. `<book id="1"><title>Dune</title></book>` becomes `{ book: { "@id": "1", title: "Dune" } }`. Elements are
+ * keyed by their tag name, and repeated elements are gathered into arrays. Comments, processing instructions and
+ * doctypes are left out, as is the whitespace between elements.
+ *
+ * @param {Node} node The element to convert, or the root node to convert each of its elements
+ * @param {object} [options]
+ * @param {string} [options.attributePrefix] What attribute names are prefixed with to tell them apart from elements (default: `"@"`)
+ * @param {string} [options.attributesKey] Gathers the attributes of each element under this key, rather than alongside its children
+ * @param {string} [options.cdataKey] Keeps CDATA sections under this key, rather than joining them with the text around them
+ * @param {boolean|((value: string, context: {name: string, isAttribute: boolean}) => *)} [options.coerce] Converts text and attribute values, either into booleans and numbers where they read as such, or with the given function
+ * @param {boolean} [options.collapseText] Converts elements holding nothing but text into the text itself (default: `true`)
+ * @param {true|string[]} [options.forceArray] Case-sensitive list of tag names always given as arrays, even when they appear once, or `true` for every tag name
+ * @param {string} [options.textKey] The key the text of an element is kept under (default: `"#text"`)
+ * @returns {{[tagName: string]: *}}
+ */
+export default function toObject(node, options = {}) {
+	if (node?.type !== ELEMENT) throw new TypeError("Expected 'node' to be an element")
+
+	// Set default options on a copy, so the options given can be used again
+	options = Object.prototype.toString.call(options) === "[object Object]" ? { ...options } : {}
+	if (typeof options.attributePrefix !== "string") options.attributePrefix = "@"
+	if (typeof options.attributesKey !== "string") options.attributesKey = undefined
+	if (typeof options.cdataKey !== "string") options.cdataKey = undefined
+	if (typeof options.coerce !== "boolean" && typeof options.coerce !== "function") options.coerce = false
+	if (typeof options.collapseText !== "boolean") options.collapseText = true
+	if (options.forceArray !== true && !Array.isArray(options.forceArray)) options.forceArray = []
+	if (typeof options.textKey !== "string") options.textKey = "#text"
+
+	const forceArray = options.forceArray === true ? true : hashArray(options.forceArray)
+	const isRoot = node.tagName === "ROOT" && !node.parent
+
+	const coerce = (value, name, isAttribute) => {
+		if (typeof value !== "string") return value
+		if (typeof options.coerce === "function") return options.coerce(value, { name, isAttribute })
+
+		return options.coerce ? coerceValue(value) : value
+	}
+
+	/**
+	 * Adds the value of an element to the object of its parent, gathering repeated tag names into an array.
+	 *
+	 * @param {object} object
+	 * @param {string} tagName
+	 * @param {*} value
+	 */
+	const add = (object, tagName, value) => {
+		if (Object.prototype.hasOwnProperty.call(object, tagName)) {
+			if (Array.isArray(object[tagName])) {
+				object[tagName].push(value)
+			} else {
+				object[tagName] = [object[tagName], value]
+			}
+		} else {
+			define(object, tagName, forceArray === true || forceArray[tagName] === true ? [value] : value)
+		}
+	}
+
+	// Every element in document order, so that working backwards converts children before their parents
+	const elements = []
+	const stack = [node]
+
+	while (stack.length) {
+		const element = stack.pop()
+		const children = element.children
+
+		elements.push(element)
+
+		for (let i = children.length - 1; i >= 0; i--) {
+			if (children[i].type === ELEMENT) stack.push(children[i])
+		}
+	}
+
+	const values = new Map()
+
+	for (let i = elements.length - 1; i >= 0; i--) {
+		const element = elements[i]
+		const object = {}
+		const isDocument = element === node && isRoot
+		const attributes = isDocument ? {} : element.attributes
+		const hasAttributes = Object.keys(attributes).length > 0
+		const group = options.attributesKey !== undefined && hasAttributes ? {} : object
+		let text = ""
+		let cdata = ""
+		let hasElements = false
+
+		for (const name in attributes) {
+			define(group, `${options.attributePrefix}${name}`, coerce(attributes[name], name, true))
+		}
+		if (group !== object) define(object, options.attributesKey, group)
+
+		for (const child of element.children) {
+			if (child.type === ELEMENT) {
+				hasElements = true
+				add(object, child.tagName, values.get(child))
+				values.delete(child)
+			} else if (child.type === CDATA && options.cdataKey !== undefined) {
+				cdata += child.value
+			} else if (child.type === TEXT || child.type === CDATA) {
+				text += child.value
+			}
+		}
+
+		if (options.collapseText && !hasElements && !hasAttributes && !cdata.length && !isDocument) {
+			values.set(element, coerce(text, element.tagName, false))
+
+			continue
+		}
+
+		// Whitespace between elements only lays them out
+		if (hasElements && !text.trim().length) text = ""
+		if (text.length) define(object, options.textKey, coerce(text, element.tagName, false))
+		if (cdata.length) define(object, options.cdataKey, cdata)
+
+		values.set(element, object)
+	}
+
+	if (isRoot) return values.get(node)
+
+	const object = {}
+
+	add(object, node.tagName, values.get(node))
+
+	return object
+}
@@ -0,0 +1,74 @@
+import { CDATA, COMMENT, ELEMENT, TEXT } from "virty"
+import { PROCESSING_INSTRUCTION } from "./ProcessingInstruction.js"
+import copyPosition from "./utils/copyPosition.js"
+import unwrapComment from "./utils/unwrapComment.js"
+
+/**
+ * Converts a node into xast, the syntax tree the unified ecosystem works with for XML. The `ROOT` element becomes a
+ * `root` node, processing instructions become `instruction` nodes, and attribute values become strings. Nodes parsed
+ * with `positions` keep where they were found.
+ *
+ * Values are carried over as they are, so data should be parsed with `decodeEntities` for text and attribute values to
+ * hold the characters they stand for, as xast expects.
+ *
+ * @param {Node} node The node to convert, usually the root node returned by `parse`
+ * @returns {object} The xast node
+ */
+export default function toXast(node) {
+	if (typeof node?.type !== "string") throw new TypeError("Expected 'node' to be a Node")
+
+	/**
+	 * Converts a single node, leaving its children to be filled in.
+	 *
+	 * @param {Node} node
+	 * @returns {object}
+	 */
+	const convert = node => {
+		let xast
+
+		if (node.type === ELEMENT && node.tagName === "ROOT" && !node.parent) {
+			xast = { type: "root", children: [] }
+		} else if (node.type === ELEMENT) {
+			const attributes = {}
+
+			for (const name in node.attributes) attributes[name] = `${node.attributes[name]}`
+
+			xast = { type: "element", name: node.tagName, attributes, children: [] }
+		} else if (node.type === TEXT) {
+			xast = { type: "text", value: node.value }
+		} else if (node.type === CDATA) {
+			xast = { type: "cdata", value: node.value }
+		} else if (node.type === COMMENT) {
+			xast = { type: "comment", value: unwrapComment(node.value) }
+		} else if (node.type === PROCESSING_INSTRUCTION) {
+			xast = { type: "instruction", name: node.target, value: node.data }
+		} else {
+			xast = { type: "doctype", name: node.name ?? "" }
+
+			if (node.publicId !== undefined) xast.public = node.publicId
+			if (node.systemId !== undefined) xast.system = node.systemId
+		}
+
+		const position = copyPosition(node.position)
+
+		if (position) xast.position = position
+
+		return xast
+	}
+
+	const xast = convert(node)
+	const queue = xast.children ? [[node, xast]] : [] // converted nodes whose children are left to convert
+
+	while (queue.length) {
+		const [parent, converted] = queue.pop()
+
+		for (const child of parent.children) {
+			const xast = convert(child)
+
+			converted.children.push(xast)
+			if (xast.children) queue.push([child, xast])
+		}
+	}
+
+	return xast
+}
@@ -0,0 +1,12 @@
+/**
+ * Coerces `"true"` and `"false"` into booleans, and numbers that read the same once converted into numbers.
+ *
+ * @param {string} value
+ * @returns {string|number|boolean} The value itself when it reads as neither
+ */
+export default function coerceValue(value) {
+	if (value === "true" || value === "false") return value === "true"
+	if (value.length && String(Number(value)) === value && Number.isFinite(Number(value))) return Number(value)
+
+	return value
+}
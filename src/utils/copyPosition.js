@@ -0,0 +1,14 @@
+/**
+ * Copies the start and end points of a position, which are shaped the same way by the parser and by unist, leaving out
+ * anything else it describes (such as the opening and closing tags of an element).
+ *
+ * @param {{start: object, end: object}} [position] A position whose points each have a `line`, `column` and `offset`
+ * @returns {{start: object, end: object}|undefined} Nothing when there's no position to copy
+ */
+export default function copyPosition(position) {
+	if (!position?.start || !position.end) return
+
+	const copy = ({ line, column, offset }) => (offset === undefined ? { line, column } : { line, column, offset })
+
+	return { start: copy(position.start), end: copy(position.end) }
+}
@@ -0,0 +1,134 @@
+import hashArray from "./hashArray.js"
+
+// Elements that stop the search for an open element, as their contents are self-contained
+const DEFAULT_SCOPE = hashArray(["applet", "caption", "html", "marquee", "object", "table", "td", "template", "th"])
+const BUTTON_SCOPE = { ...DEFAULT_SCOPE, button: true }
+const LIST_ITEM_SCOPE = { ...DEFAULT_SCOPE, ol: true, ul: true }
+const DEFINITION_SCOPE = { ...DEFAULT_SCOPE, dl: true }
+const TABLE_SCOPE = hashArray(["html", "table", "template"])
+const ROW_SCOPE = { ...TABLE_SCOPE, tr: true }
+
+// Start tags that close an open `p` element
+const CLOSES_P = hashArray([
+	"address",
+	"article",
+	"aside",
+	"blockquote",
+	"center",
+	"dd",
+	"details",
+	"dialog",
+	"dir",
+	"div",
+	"dl",
+	"dt",
+	"fieldset",
+	"figcaption",
+	"figure",
+	"footer",
+	"form",
+	"h1",
+	"h2",
+	"h3",
+	"h4",
+	"h5",
+	"h6",
+	"header",
+	"hgroup",
+	"hr",
+	"li",
+	"listing",
+	"main",
+	"menu",
+	"nav",
+	"ol",
+	"p",
+	"plaintext",
+	"pre",
+	"search",
+	"section",
+	"summary",
+	"table",
+	"ul",
+	"xmp"
+])
+const HEADINGS = hashArray(["h1", "h2", "h3", "h4", "h5", "h6"])
+const TABLE_SECTIONS = hashArray(["tbody", "tfoot", "thead"])
+const TABLE_CELLS = hashArray(["td", "th"])
+const TABLE_ELEMENTS = hashArray(["caption", "colgroup", "table", "tbody", "td", "tfoot", "th", "thead", "tr"])
+
+/**
+ * Counts the open elements that the given HTML tag closes without needing their own closing tags, following HTML's
+ * optional tag rules - e.g. an `li` start tag closes the previous `li`, and a `div` start tag closes an open `p`.
+ *
+ * For closing tags, the count is of the elements left open inside the element being closed, or `-1` if no element of
+ * that name is open within reach.
+ *
+ * @param {string} tagName The lowercase name of the tag
+ * @param {string[]} stack The lowercase names of the open elements, innermost last
+ * @param {boolean} [isClosingTag] Whether the tag is a closing tag
+ * @returns {number}
+ */
+export default function countImpliedEndTags(tagName, stack, isClosingTag = false) {
+	/**
+	 * Finds the innermost open element matching the given names, searching no further out than the scope allows.
+	 *
+	 * @param {{[name: string]: true}} names The names to look for
+	 * @param {{[name: string]: true}} scope The names of the elements that end the search
+	 * @param {number} top The index to search out from
+	 * @returns {number} The index of the element or `-1`
+	 */
+	const find = (names, scope, top) => {
+		for (let i = top; i >= 0; i--) {
+			if (names[stack[i]] === true) return i
+			if (scope[stack[i]] === true) return -1
+		}
+
+		return -1
+	}
+
+	if (isClosingTag) {
+		let scope = DEFAULT_SCOPE
+
+		if (tagName === "p") scope = BUTTON_SCOPE
+		if (tagName === "li") scope = LIST_ITEM_SCOPE
+		if (tagName === "dd" || tagName === "dt") scope = DEFINITION_SCOPE
+		if (TABLE_ELEMENTS[tagName] === true) scope = TABLE_SCOPE
+
+		const i = find({ [tagName]: true }, scope, stack.length - 1)
+
+		return i < 0 ? -1 : stack.length - 1 - i
+	}
+
+	let top = stack.length - 1 // the innermost element that remains open
+	const close = i => {
+		if (i >= 0 && i <= top) top = i - 1
+	}
+
+	if (CLOSES_P[tagName] === true) close(find({ p: true }, BUTTON_SCOPE, top))
+
+	if (tagName === "li") {
+		close(find({ li: true }, LIST_ITEM_SCOPE, top))
+	} else if (tagName === "dd" || tagName === "dt") {
+		close(find({ dd: true, dt: true }, DEFINITION_SCOPE, top))
+	} else if (HEADINGS[tagName] === true) {
+		if (HEADINGS[stack[top]] === true) close(top)
+	} else if (tagName === "option") {
+		if (stack[top] === "option") close(top)
+	} else if (tagName === "optgroup") {
+		if (stack[top] === "option") close(top)
+		if (stack[top] === "optgroup") close(top)
+	} else if (TABLE_SECTIONS[tagName] === true) {
+		close(find(TABLE_SECTIONS, TABLE_SCOPE, top))
+	} else if (tagName === "tr") {
+		close(find({ tr: true }, TABLE_SCOPE, top))
+	} else if (TABLE_CELLS[tagName] === true) {
+		close(find(TABLE_CELLS, ROW_SCOPE, top))
+	} else if (tagName === "rb" || tagName === "rtc") {
+		if (stack[top] === "rb" || stack[top] === "rp" || stack[top] === "rt" || stack[top] === "rtc") close(top)
+	} else if (tagName === "rp" || tagName === "rt") {
+		if (stack[top] === "rb" || stack[top] === "rp" || stack[top] === "rt") close(top)
+	}
+
+	return stack.length - 1 - top
+}
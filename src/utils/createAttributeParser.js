@@ -0,0 +1,115 @@
+import coerceValue from "./coerceValue.js"
+import parseStyle from "./parseStyle.js"
+
+// Attributes HTML treats as true by being present, whatever their value
+const BOOLEAN_ATTRIBUTES = {
+	allowfullscreen: true,
+	async: true,
+	autofocus: true,
+	autoplay: true,
+	checked: true,
+	controls: true,
+	default: true,
+	defer: true,
+	disabled: true,
+	formnovalidate: true,
+	hidden: true,
+	inert: true,
+	ismap: true,
+	itemscope: true,
+	loop: true,
+	multiple: true,
+	muted: true,
+	nomodule: true,
+	novalidate: true,
+	open: true,
+	playsinline: true,
+	readonly: true,
+	required: true,
+	reversed: true,
+	selected: true
+}
+
+const COERCERS = {
+	boolean: value => value !== "false",
+	number: value => (value.trim().length && Number.isFinite(Number(value)) ? Number(value) : value),
+	json: value => {
+		try {
+			return JSON.parse(value)
+		} catch {
+			return value
+		}
+	},
+	tokens: value => value.split(/\s+/).filter(token => token.length),
+	style: parseStyle,
+	string: value => value
+}
+
+/**
+ * Coerces a value the schema doesn't say how to coerce: class and style attributes become a token list and a property
+ * map, bare attributes and HTML boolean attributes become `true`, `"true"`/`"false"` and numbers that read the same once
+ * converted become booleans and numbers, and objects or arrays that parse as JSON become whatever they parse to.
+ *
+ * @param {string} name The name of the attribute, lowercased in HTML mode
+ * @param {string} value The value of the attribute
+ * @param {boolean} isBare Whether the attribute was written without a value
+ * @param {boolean} htmlMode Whether HTML's boolean attributes are recognized
+ * @returns {*} The value itself when none of these apply
+ */
+const coerceByDefault = (name, value, isBare, htmlMode) => {
+	if (name === "class") return COERCERS.tokens(value)
+	if (name === "style") return COERCERS.style(value)
+	if (isBare) return true
+	if (htmlMode && BOOLEAN_ATTRIBUTES[name] === true && (!value.length || value.toLowerCase() === name)) return true
+
+	const coerced = coerceValue(value)
+
+	if (coerced !== value) return coerced
+
+	const trimmed = value.trim()
+
+	return trimmed[0] === "{" || trimmed[0] === "[" ? COERCERS.json(value) : value
+}
+
+/**
+ * Creates the function `options.parseAttributes` coerces attribute values with. The option is either `true`, to use
+ * the default coercion, or a schema overriding it per tag and attribute - an object mapping tag names (or `"*"` for
+ * every tag) to objects mapping attribute names to a coercer. A coercer is either the name of a built-in one
+ * (`"boolean"`, `"number"`, `"json"`, `"tokens"`, `"style"` or `"string"`, which leaves the value alone) or a function
+ * given the value along with the `tagName` and `name` it belongs to.
+ *
+ * @param {boolean|{[tagName: string]: {[name: string]: string|Function}}} [schema]
+ * @param {boolean} [htmlMode] Whether tag and attribute names are matched regardless of case
+ * @returns {((tagName: string, name: string, value: *, isBare: boolean) => *)|undefined} Nothing when the option is
+ * disabled
+ */
+export default function createAttributeParser(schema, htmlMode = false) {
+	if (schema !== true && Object.prototype.toString.call(schema) !== "[object Object]") return
+
+	const fold = name => (htmlMode ? `${name}`.toLowerCase() : `${name}`)
+	const overrides = Object.create(null)
+
+	if (schema !== true) {
+		for (const [tagName, attributes] of Object.entries(schema)) {
+			if (Object.prototype.toString.call(attributes) !== "[object Object]") continue
+
+			const coercers = (overrides[tagName === "*" ? tagName : fold(tagName)] ??= Object.create(null))
+
+			for (const [name, coercer] of Object.entries(attributes)) coercers[fold(name)] = coercer
+		}
+	}
+
+	return (tagName, name, value, isBare) => {
+		// Values that aren't strings were set by options.onAttribute, and are left as they are
+		if (typeof value !== "string") return value
+
+		const folded = fold(name)
+		const coercer = overrides[fold(tagName)]?.[folded] ?? overrides["*"]?.[folded]
+
+		if (typeof coercer === "function") return coercer(value, { tagName, name })
+
+		if (Object.prototype.hasOwnProperty.call(COERCERS, coercer)) return COERCERS[coercer](value)
+
+		return coerceByDefault(folded, value, isBare, htmlMode)
+	}
+}
@@ -0,0 +1,40 @@
+/**
+ * Creates a short excerpt of the given string surrounding the given point, marking the point's column with a caret.
+ * Lines that begin before the start of the string are cut off where the string starts.
+ *
+ * @param {string} string The string the point belongs to
+ * @param {{offset: number, line: number, column: number}} point The point to highlight, its offset being relative to the string
+ * @param {number} [context] The number of lines to include before and after the point's line (default: `1`)
+ * @returns {string}
+ */
+export default function createCodeFrame(string, point, context = 1) {
+	if (typeof string !== "string") throw new TypeError("Expected 'string' to be a string")
+
+	const lineStart = index => Math.max(string.lastIndexOf("\n", index - 1), string.lastIndexOf("\r", index - 1)) + 1
+	const pointStart = Math.max(point.offset - (point.column - 1), 0)
+
+	let start = pointStart
+	let firstLine = point.line
+
+	for (let n = 0; n < context && start > 0; n++) {
+		start = lineStart(string[start - 1] === "\n" && string[start - 2] === "\r" ? start - 2 : start - 1)
+		firstLine--
+	}
+
+	const lines = string.slice(start).split(/\r\n|\r|\n/, point.line - firstLine + context + 1)
+	const width = `${firstLine + lines.length - 1}`.length
+
+	return lines
+		.map((line, n) => {
+			const number = firstLine + n
+			const gutter = `${number}`.padStart(width)
+
+			if (number !== point.line) return `  ${gutter} | ${line}`
+
+			// Tabs are kept so the caret lines up regardless of how wide they're rendered
+			const indent = line.slice(0, point.offset - pointStart).replace(/[^\t]/g, " ")
+
+			return `> ${gutter} | ${line}\n  ${" ".repeat(width)} | ${indent}^`
+		})
+		.join("\n")
+}
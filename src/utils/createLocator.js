@@ -0,0 +1,58 @@
+/**
+ * Creates a function that converts a character offset within the given string into a point containing the offset,
+ * line, and column of that character. Lines and columns are indexed by 1, offsets are indexed by 0. `\r\n`, `\r` and
+ * `\n` are all treated as line breaks.
+ *
+ * The string can be extended after the fact through the returned function's `append` method, allowing offsets to be
+ * resolved against data that arrives in chunks.
+ *
+ * @param {string} [string] The string offsets will be resolved against
+ * @returns {((offset: number) => {offset: number, line: number, column: number}) & {append: (chunk: string) => void}}
+ */
+export default function createLocator(string = "") {
+	if (typeof string !== "string") throw new TypeError("Expected 'string' to be a string")
+
+	const lineStarts = [0]
+	let length = 0
+	let previous = ""
+
+	const locate = offset => {
+		let lo = 0
+		let hi = lineStarts.length - 1
+
+		while (lo < hi) {
+			const mid = (lo + hi + 1) >> 1
+
+			if (lineStarts[mid] <= offset) {
+				lo = mid
+			} else {
+				hi = mid - 1
+			}
+		}
+
+		return { offset, line: lo + 1, column: offset - lineStarts[lo] + 1 }
+	}
+
+	locate.append = chunk => {
+		if (typeof chunk !== "string") throw new TypeError("Expected 'chunk' to be a string")
+
+		for (let i = 0; i < chunk.length; i++) {
+			const char = chunk[i]
+
+			if (char === "\n" && previous === "\r") {
+				// The '\r' already started a line, which actually starts after the '\n'
+				lineStarts[lineStarts.length - 1] = length + i + 1
+			} else if (char === "\n" || char === "\r") {
+				lineStarts.push(length + i + 1)
+			}
+
+			previous = char
+		}
+
+		length += chunk.length
+	}
+
+	locate.append(string)
+
+	return locate
+}
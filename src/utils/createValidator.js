@@ -0,0 +1,145 @@
+// Rules checked against each element as it opens
+const TAG_RULES = ["mustSelfClose", "mustNotSelfClose"]
+
+// Rules checked against the content of each open element
+const CONTENT_RULES = ["mustNotContainElementNodes", "mustNotContainTextNodes", "mustNotContainTextNodesStrict"]
+
+const MESSAGES = {
+	mustSelfClose: tagName => `Element '${tagName}' must self-close`,
+	mustNotSelfClose: tagName => `Element '${tagName}' must not self-close`,
+	mustNotContainElementNodes: tagName => `Element '${tagName}' must not contain elements`,
+	mustNotContainTextNodes: tagName => `Element '${tagName}' must not contain text`,
+	mustNotContainTextNodesStrict: tagName => `Element '${tagName}' must not contain text, even within its descendants`
+}
+
+const ERROR = "error"
+const WARNING = "warning"
+
+/**
+ * Maps the tag names a rule applies to onto the severity of breaking it. Rules can be given as a list of tag names,
+ * each of which is an error to break, or as an object mapping tag names to either `"error"` or `"warning"`.
+ *
+ * @param {string[]|{[tagName: string]: "error"|"warning"}} [rule]
+ * @param {boolean} toLowerCase Whether to lowercase the tag names
+ * @returns {{[tagName: string]: "error"|"warning"}}
+ */
+const normalizeRule = (rule, toLowerCase) => {
+	const severities = Object.create(null)
+	const entries = Array.isArray(rule)
+		? rule.map(tagName => [tagName, ERROR])
+		: Object.prototype.toString.call(rule) === "[object Object]"
+			? Object.entries(rule)
+			: []
+
+	for (const [tagName, severity] of entries) {
+		severities[toLowerCase ? `${tagName}`.toLowerCase() : `${tagName}`] = severity === WARNING ? WARNING : ERROR
+	}
+
+	return severities
+}
+
+/**
+ * Creates a validator that checks the structural rules (`mustSelfClose`, `mustNotSelfClose`,
+ * `mustNotContainElementNodes`, `mustNotContainTextNodes` and `mustNotContainTextNodesStrict`) against the elements
+ * and text of a document as it's parsed. It's told about every element that opens or closes and every piece of text,
+ * in document order, and answers with the rules each one breaks. Content rules are only broken once per element.
+ * Text includes CDATA sections.
+ *
+ * @param {object} rules The options holding the rules, as given to `parse`
+ * @param {boolean} [htmlMode] Whether tag names are lowercased
+ * @returns {{
+ *   open: (tagName: string, isSelfClosing: boolean) => {rule: string, tagName: string, severity: string, message: string}[],
+ *   close: () => void,
+ *   text: () => {rule: string, tagName: string, severity: string, message: string}[],
+ *   active: boolean
+ * }}
+ */
+export default function createValidator(rules = {}, htmlMode = false) {
+	const severities = {}
+
+	for (const rule of [...TAG_RULES, ...CONTENT_RULES]) severities[rule] = normalizeRule(rules[rule], htmlMode)
+
+	const violation = (rule, tagName, severity) => ({ rule, tagName, severity, message: MESSAGES[rule](tagName) })
+	const stack = [] // the open elements, along with the content rules each still has to be checked against
+	let strict = 0 // open elements with a mustNotContainTextNodesStrict rule that hasn't been broken yet
+
+	/**
+	 * Checks the given content rule against the open elements, marking it broken for any element that breaks it.
+	 *
+	 * @param {string} rule The name of the content rule
+	 * @param {number} from The index of the outermost open element to check
+	 * @param {object[]} violations The violations to add to
+	 */
+	const check = (rule, from, violations) => {
+		// Elements with the rule lose it once broken, so only open elements that still have it need checking
+		for (let i = stack.length - 1; i >= from; i--) {
+			const element = stack[i]
+
+			if (element[rule]) {
+				violations.push(violation(rule, element.tagName, element[rule]))
+				element[rule] = undefined
+				if (rule === "mustNotContainTextNodesStrict") strict--
+			}
+		}
+	}
+
+	const validator = {
+		/**
+		 * Whether any rules were given at all.
+		 */
+		active: Object.values(severities).some(tagNames => Object.keys(tagNames).length),
+
+		/**
+		 * Checks an element that's opening, which counts as content of the element it opens within.
+		 *
+		 * @param {string} tagName The name of the element
+		 * @param {boolean} isSelfClosing Whether the element closes right away
+		 * @param {boolean} [implied] Whether the element opens without a tag of its own, which leaves out the tag rules
+		 * @returns {{rule: string, tagName: string, severity: string, message: string}[]}
+		 */
+		open(tagName, isSelfClosing, implied = false) {
+			const violations = []
+			const tagRule = isSelfClosing ? "mustNotSelfClose" : "mustSelfClose"
+
+			if (stack.length) check("mustNotContainElementNodes", stack.length - 1, violations)
+			if (!implied && severities[tagRule][tagName])
+				violations.push(violation(tagRule, tagName, severities[tagRule][tagName]))
+
+			if (!isSelfClosing) {
+				const element = { tagName }
+
+				for (const rule of CONTENT_RULES) element[rule] = severities[rule][tagName]
+				if (element.mustNotContainTextNodesStrict) strict++
+
+				stack.push(element)
+			}
+
+			return violations
+		},
+
+		/**
+		 * Closes the innermost open element.
+		 */
+		close() {
+			const element = stack.pop()
+
+			if (element?.mustNotContainTextNodesStrict) strict--
+		},
+
+		/**
+		 * Checks a piece of text, which counts as content of the element it's found within.
+		 *
+		 * @returns {{rule: string, tagName: string, severity: string, message: string}[]}
+		 */
+		text() {
+			const violations = []
+
+			if (stack.length) check("mustNotContainTextNodes", stack.length - 1, violations)
+			if (strict > 0) check("mustNotContainTextNodesStrict", 0, violations)
+
+			return violations
+		}
+	}
+
+	return validator
+}
@@ -0,0 +1,161 @@
+import htmlEntities from "./htmlEntities.js"
+import isWhitespace from "./isWhitespace.js"
+
+const XML_ENTITIES = { "amp;": "&", "apos;": "'", "gt;": ">", "lt;": "<", "quot;": '"' }
+
+// Numeric references the HTML standard remaps, mostly to the windows-1252 characters browsers have always shown for them
+const NUMERIC_REPLACEMENTS = {
+	0x80: 0x20ac,
+	0x82: 0x201a,
+	0x83: 0x0192,
+	0x84: 0x201e,
+	0x85: 0x2026,
+	0x86: 0x2020,
+	0x87: 0x2021,
+	0x88: 0x02c6,
+	0x89: 0x2030,
+	0x8a: 0x0160,
+	0x8b: 0x2039,
+	0x8c: 0x0152,
+	0x8e: 0x017d,
+	0x91: 0x2018,
+	0x92: 0x2019,
+	0x93: 0x201c,
+	0x94: 0x201d,
+	0x95: 0x2022,
+	0x96: 0x2013,
+	0x97: 0x2014,
+	0x98: 0x02dc,
+	0x99: 0x2122,
+	0x9a: 0x0161,
+	0x9b: 0x203a,
+	0x9c: 0x0153,
+	0x9e: 0x017e,
+	0x9f: 0x0178
+}
+
+// Length of the longest named reference, "CounterClockwiseContourIntegral;"
+const LONGEST_NAME = 32
+
+// Length past which a declared entity's name is no longer looked for
+const MAX_DECLARED_NAME = 256
+
+const isDigit = char => char >= "0" && char <= "9"
+const isHexDigit = char => isDigit(char) || (char >= "a" && char <= "f") || (char >= "A" && char <= "F")
+const isAlphanumeric = char => isDigit(char) || (char >= "a" && char <= "z") || (char >= "A" && char <= "Z")
+const isNameEnd = char => char === ";" || char === "&" || char === "<" || isWhitespace(char)
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key)
+
+/**
+ * Decodes the character references (such as `&amp;`, `&#39;` and `&#x27;`) within the given string. In HTML mode the
+ * full table of named references is recognized, including the legacy references that may leave out their semicolon,
+ * along with numeric references that leave out theirs. Otherwise only the five references predefined by XML are
+ * recognized, and every reference must end with a semicolon. Entities declared by a DTD can be recognized as well, and
+ * must also end with a semicolon. References that can't be decoded are left as-is.
+ *
+ * @param {string} string The string to decode
+ * @param {boolean} [htmlMode] Decode by the rules of HTML rather than XML
+ * @param {boolean} [inAttribute] Whether the string is an attribute value, in which case legacy references followed by
+ * `=` or an alphanumeric character are left as-is
+ * @param {{[name: string]: string}} [entities] Declared entities to recognize by name, in addition to the predefined ones
+ * @param {number} [maxLength] Stops decoding once the decoded string grows past this many characters, returning it as
+ * far as it got
+ * @returns {string}
+ */
+export default function decodeEntities(
+	string,
+	htmlMode = false,
+	inAttribute = false,
+	entities = {},
+	maxLength = Infinity
+) {
+	if (typeof string !== "string") throw new TypeError("Expected 'string' to be a string")
+
+	const declared = Object.keys(entities).length > 0
+
+	/**
+	 * Reads the reference starting at the given '&', if there is one.
+	 *
+	 * @param {number} start The index of the '&'
+	 * @returns {{value: string, end: number}|undefined}
+	 */
+	const reference = start => {
+		if (string[start + 1] === "#") {
+			const hex = string[start + 2] === "x" || string[start + 2] === "X"
+			const digitsStart = start + (hex ? 3 : 2)
+			let end = digitsStart
+
+			while (end < string.length && (hex ? isHexDigit(string[end]) : isDigit(string[end]))) end++
+
+			if (end === digitsStart) return
+
+			const terminated = string[end] === ";"
+
+			if (!terminated && !htmlMode) return
+
+			let code = parseInt(string.slice(digitsStart, end), hex ? 16 : 10)
+
+			if (htmlMode && has(NUMERIC_REPLACEMENTS, code)) {
+				code = NUMERIC_REPLACEMENTS[code]
+			} else if (code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) {
+				code = 0xfffd
+			}
+
+			return { value: String.fromCodePoint(code), end: terminated ? end + 1 : end }
+		}
+
+		const table = htmlMode ? htmlEntities : XML_ENTITIES
+		let end = start + 1
+
+		while (end < string.length && end - start <= LONGEST_NAME && isAlphanumeric(string[end])) end++
+
+		if (string[end] === ";") {
+			const name = string.slice(start + 1, end + 1)
+
+			if (has(table, name)) return { value: table[name], end: end + 1 }
+		}
+
+		if (declared) {
+			// Declared names can contain more than letters and digits, e.g. `&company-name;`
+			let nameEnd = start + 1
+
+			while (nameEnd < string.length && nameEnd - start <= MAX_DECLARED_NAME && !isNameEnd(string[nameEnd])) nameEnd++
+
+			const name = string.slice(start + 1, nameEnd)
+
+			if (string[nameEnd] === ";" && has(entities, name)) return { value: entities[name], end: nameEnd + 1 }
+		}
+
+		if (!htmlMode) return
+
+		// Legacy references can leave out their semicolon, in which case the longest one that fits is used
+		for (; end > start + 1; end--) {
+			const name = string.slice(start + 1, end)
+
+			if (has(htmlEntities, name)) {
+				if (inAttribute && (string[end] === "=" || isAlphanumeric(string[end]))) return
+
+				return { value: htmlEntities[name], end }
+			}
+		}
+	}
+
+	let decoded = ""
+	let last = 0 // index of the first character not yet added to the decoded string
+	let i = string.indexOf("&")
+
+	while (i >= 0) {
+		const ref = reference(i)
+
+		if (ref) {
+			decoded = `${decoded}${string.slice(last, i)}${ref.value}`
+			last = ref.end
+
+			if (decoded.length > maxLength) return decoded
+		}
+
+		i = string.indexOf("&", ref ? ref.end : i + 1)
+	}
+
+	return last ? `${decoded}${string.slice(last)}` : string
+}
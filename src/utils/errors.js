@@ -23,3 +23,83 @@ export class UnmatchedClosingTag extends Error {
 		Error.captureStackTrace(this, UnmatchedClosingTag)
 	}
 }
+
+export class UnexpectedEndOfInputError extends Error {
+	constructor(message) {
+		super(`Unexpected end of input${typeof message === "string" && message.length ? ` - ${message}` : ""}`)
+		this.name = "UnexpectedEndOfInputError"
+
+		Error.captureStackTrace(this, UnexpectedEndOfInputError)
+	}
+}
+
+export class UnboundNamespacePrefixError extends Error {
+	constructor(prefix, charNumber, message) {
+		super(
+			`Namespace prefix '${prefix}' is used at character ${charNumber} without being declared${
+				typeof message === "string" && message.length ? ` - ${message}` : ""
+			}`
+		)
+		this.name = "UnboundNamespacePrefixError"
+
+		Error.captureStackTrace(this, UnboundNamespacePrefixError)
+	}
+}
+
+export class MisnestedClosingTagError extends Error {
+	constructor(tagName, openTagName, charNumber, message) {
+		super(
+			`Closing tag '${tagName}' at character ${charNumber} closes '${openTagName}', which is still open${
+				typeof message === "string" && message.length ? ` - ${message}` : ""
+			}`
+		)
+		this.name = "MisnestedClosingTagError"
+
+		Error.captureStackTrace(this, MisnestedClosingTagError)
+	}
+}
+
+export class RuleViolationError extends Error {
+	constructor(rule, tagName, charNumber, message) {
+		super(
+			`Element '${tagName}' at character ${charNumber} breaks the '${rule}' rule${
+				typeof message === "string" && message.length ? ` - ${message}` : ""
+			}`
+		)
+		this.name = "RuleViolationError"
+		this.rule = rule
+		this.tagName = tagName
+
+		Error.captureStackTrace(this, RuleViolationError)
+	}
+}
+
+export class DuplicateAttributeError extends Error {
+	constructor(name, charNumber, message) {
+		super(
+			`Attribute '${name}' at character ${charNumber} is repeated${
+				typeof message === "string" && message.length ? ` - ${message}` : ""
+			}`
+		)
+		this.name = "DuplicateAttributeError"
+		this.attributeName = name
+
+		Error.captureStackTrace(this, DuplicateAttributeError)
+	}
+}
+
+export class LimitExceededError extends Error {
+	constructor(limit, max, charNumber, message) {
+		super(
+			`Limit '${limit}' of ${max} exceeded at character ${charNumber}${
+				typeof message === "string" && message.length ? ` - ${message}` : ""
+			}`
+		)
+		this.name = "LimitExceededError"
+		this.limit = limit
+		this.max = max
+		this.charNumber = charNumber
+
+		Error.captureStackTrace(this, LimitExceededError)
+	}
+}
@@ -0,0 +1,9 @@
+/**
+ * Escapes the characters that would otherwise be read as markup within text.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export default function escapeText(text) {
+	return text.replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;")
+}
@@ -0,0 +1,400 @@
+const BOOLEAN = "boolean"
+const NUMBER = "number"
+const SPACE_SEPARATED = "space-separated"
+const COMMA_SEPARATED = "comma-separated"
+
+// HTML properties by how their values are typed in hast, following the property names the unified ecosystem uses
+const KINDS = {
+	[BOOLEAN]: [
+		"allowFullScreen",
+		"allowPaymentRequest",
+		"allowUserMedia",
+		"async",
+		"autoFocus",
+		"autoPlay",
+		"checked",
+		"compact",
+		"controls",
+		"declare",
+		"default",
+		"defer",
+		"disablePictureInPicture",
+		"disableRemotePlayback",
+		"disabled",
+		"download",
+		"formNoValidate",
+		"hidden",
+		"inert",
+		"isMap",
+		"itemScope",
+		"loop",
+		"multiple",
+		"muted",
+		"noHref",
+		"noModule",
+		"noResize",
+		"noShade",
+		"noValidate",
+		"noWrap",
+		"open",
+		"playsInline",
+		"readOnly",
+		"required",
+		"reversed",
+		"scoped",
+		"seamless",
+		"selected",
+		"typeMustMatch"
+	],
+	[NUMBER]: [
+		"ariaColCount",
+		"ariaColIndex",
+		"ariaColSpan",
+		"ariaLevel",
+		"ariaPosInSet",
+		"ariaRowCount",
+		"ariaRowIndex",
+		"ariaRowSpan",
+		"ariaSetSize",
+		"ariaValueMax",
+		"ariaValueMin",
+		"ariaValueNow",
+		"border",
+		"bottomMargin",
+		"cols",
+		"colSpan",
+		"height",
+		"high",
+		"hSpace",
+		"leftMargin",
+		"low",
+		"marginHeight",
+		"marginWidth",
+		"maxLength",
+		"minLength",
+		"optimum",
+		"results",
+		"rightMargin",
+		"rows",
+		"rowSpan",
+		"size",
+		"span",
+		"start",
+		"tabIndex",
+		"topMargin",
+		"vSpace",
+		"width"
+	],
+	[SPACE_SEPARATED]: [
+		"acceptCharset",
+		"accessKey",
+		"archive",
+		"ariaControls",
+		"ariaDescribedBy",
+		"ariaDropEffect",
+		"ariaFlowTo",
+		"ariaKeyShortcuts",
+		"ariaLabelledBy",
+		"ariaOwns",
+		"ariaRelevant",
+		"autoComplete",
+		"blocking",
+		"className",
+		"controlsList",
+		"headers",
+		"htmlFor",
+		"httpEquiv",
+		"itemProp",
+		"itemRef",
+		"itemType",
+		"ping",
+		"rel",
+		"rev",
+		"sandbox"
+	],
+	[COMMA_SEPARATED]: ["accept", "coords"],
+	// Properties whose values are left alone, listed for their names
+	string: [
+		"aLink",
+		"ariaActiveDescendant",
+		"ariaAtomic",
+		"ariaAutoComplete",
+		"ariaBusy",
+		"ariaChecked",
+		"ariaCurrent",
+		"ariaDetails",
+		"ariaDisabled",
+		"ariaErrorMessage",
+		"ariaExpanded",
+		"ariaGrabbed",
+		"ariaHasPopup",
+		"ariaHidden",
+		"ariaInvalid",
+		"ariaLabel",
+		"ariaLive",
+		"ariaModal",
+		"ariaMultiLine",
+		"ariaMultiSelectable",
+		"ariaOrientation",
+		"ariaPlaceholder",
+		"ariaPressed",
+		"ariaReadOnly",
+		"ariaRequired",
+		"ariaRoleDescription",
+		"ariaSelected",
+		"ariaSort",
+		"ariaValueText",
+		"allowTransparency",
+		"autoCapitalize",
+		"autoCorrect",
+		"autoSave",
+		"bgColor",
+		"borderColor",
+		"cellPadding",
+		"cellSpacing",
+		"charOff",
+		"charSet",
+		"classId",
+		"codeBase",
+		"codeType",
+		"contentEditable",
+		"crossOrigin",
+		"dateTime",
+		"dirName",
+		"encType",
+		"enterKeyHint",
+		"fetchPriority",
+		"formAction",
+		"formEncType",
+		"formMethod",
+		"formTarget",
+		"frameBorder",
+		"hrefLang",
+		"imageSizes",
+		"imageSrcSet",
+		"inputMode",
+		"itemId",
+		"longDesc",
+		"lowSrc",
+		"popoverTarget",
+		"popoverTargetAction",
+		"referrerPolicy",
+		"spellCheck",
+		"srcDoc",
+		"srcLang",
+		"srcSet",
+		"useMap",
+		"vAlign",
+		"valueType",
+		"vLink",
+		// Event handlers
+		"onAbort",
+		"onAfterPrint",
+		"onAuxClick",
+		"onBeforeMatch",
+		"onBeforePrint",
+		"onBeforeToggle",
+		"onBeforeUnload",
+		"onBlur",
+		"onCancel",
+		"onCanPlay",
+		"onCanPlayThrough",
+		"onChange",
+		"onClick",
+		"onClose",
+		"onContextLost",
+		"onContextMenu",
+		"onContextRestored",
+		"onCopy",
+		"onCueChange",
+		"onCut",
+		"onDblClick",
+		"onDrag",
+		"onDragEnd",
+		"onDragEnter",
+		"onDragExit",
+		"onDragLeave",
+		"onDragOver",
+		"onDragStart",
+		"onDrop",
+		"onDurationChange",
+		"onEmptied",
+		"onEnded",
+		"onError",
+		"onFocus",
+		"onFormData",
+		"onHashChange",
+		"onInput",
+		"onInvalid",
+		"onKeyDown",
+		"onKeyPress",
+		"onKeyUp",
+		"onLanguageChange",
+		"onLoad",
+		"onLoadedData",
+		"onLoadedMetadata",
+		"onLoadEnd",
+		"onLoadStart",
+		"onMessage",
+		"onMessageError",
+		"onMouseDown",
+		"onMouseEnter",
+		"onMouseLeave",
+		"onMouseMove",
+		"onMouseOut",
+		"onMouseOver",
+		"onMouseUp",
+		"onOffline",
+		"onOnline",
+		"onPageHide",
+		"onPageShow",
+		"onPaste",
+		"onPause",
+		"onPlay",
+		"onPlaying",
+		"onPopState",
+		"onProgress",
+		"onRateChange",
+		"onRejectionHandled",
+		"onReset",
+		"onResize",
+		"onScroll",
+		"onScrollEnd",
+		"onSecurityPolicyViolation",
+		"onSeeked",
+		"onSeeking",
+		"onSelect",
+		"onSlotChange",
+		"onStalled",
+		"onStorage",
+		"onSubmit",
+		"onSuspend",
+		"onTimeUpdate",
+		"onToggle",
+		"onUnhandledRejection",
+		"onUnload",
+		"onVolumeChange",
+		"onWaiting",
+		"onWheel"
+	]
+}
+
+// Properties whose attributes aren't just their lowercased names
+const ATTRIBUTE_NAMES = {
+	acceptCharset: "accept-charset",
+	className: "class",
+	htmlFor: "for",
+	httpEquiv: "http-equiv"
+}
+
+const PROPERTIES = Object.create(null) // attribute name -> {property, kind}
+const ATTRIBUTES = Object.create(null) // property name -> {attribute, kind}
+
+for (const [kind, properties] of Object.entries(KINDS)) {
+	for (const property of properties) {
+		const attribute = ATTRIBUTE_NAMES[property] ?? property.replace(/^aria(?=[A-Z])/, "aria-").toLowerCase()
+
+		PROPERTIES[attribute] = { property, kind }
+		ATTRIBUTES[property] = { attribute, kind }
+	}
+}
+
+/**
+ * Works out the hast property the given attribute becomes, along with how its value is typed. Outside of HTML only
+ * `class` is renamed, since SVG and MathML attributes are already written the way their properties are named.
+ *
+ * @param {string} name The name of the attribute
+ * @param {boolean} isHTML Whether the attribute belongs to an HTML element
+ * @returns {{property: string, kind?: string}}
+ */
+const findProperty = (name, isHTML) => {
+	if (!isHTML) return name === "class" ? PROPERTIES.class : { property: name }
+
+	const folded = name.toLowerCase()
+
+	// Data attributes become camelCased properties, e.g. `data-user-id` becomes `dataUserId`
+	if (folded.startsWith("data-") && folded.length > 5)
+		return { property: `data${folded.slice(4).replace(/-([a-z])/g, (_, char) => char.toUpperCase())}` }
+
+	return PROPERTIES[folded] ?? { property: name }
+}
+
+/**
+ * Works out the attribute the given hast property is written as, along with how its value is typed.
+ *
+ * @param {string} property The name of the property
+ * @param {boolean} isHTML Whether the property belongs to an HTML element
+ * @returns {{attribute: string, kind?: string}}
+ */
+const findAttribute = (property, isHTML) => {
+	if (!isHTML) return property === "className" ? ATTRIBUTES.className : { attribute: property }
+	if (/^data[A-Z]/.test(property))
+		return { attribute: `data${property.slice(4).replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}` }
+
+	return ATTRIBUTES[property] ?? { attribute: property }
+}
+
+/**
+ * Converts the attributes of an element into hast properties - e.g. `class="a b"` becomes `className: ["a", "b"]`,
+ * `tabindex="1"` becomes `tabIndex: 1`, and a bare `disabled` becomes `disabled: true`.
+ *
+ * @param {{[name: string]: string|number|boolean}} attributes
+ * @param {boolean} isHTML Whether the attributes belong to an HTML element
+ * @returns {{[property: string]: *}}
+ */
+export function toProperties(attributes, isHTML) {
+	const properties = {}
+
+	for (const name in attributes) {
+		const value = attributes[name]
+		const { property, kind } = findProperty(name, isHTML)
+
+		// Values that aren't strings were set after parsing, and are already typed
+		if (typeof value !== "string") {
+			properties[property] = value
+		} else if (kind === SPACE_SEPARATED) {
+			properties[property] = value.split(/[ \t\n\f\r]+/).filter(token => token.length)
+		} else if (kind === COMMA_SEPARATED) {
+			properties[property] = value
+				.split(",")
+				.map(token => token.trim())
+				.filter(token => token.length)
+		} else if (kind === NUMBER && value.trim().length && !Number.isNaN(Number(value))) {
+			properties[property] = Number(value)
+		} else if (kind === BOOLEAN && (!value.length || value.toLowerCase() === name.toLowerCase())) {
+			properties[property] = true
+		} else {
+			properties[property] = value
+		}
+	}
+
+	return properties
+}
+
+/**
+ * Converts hast properties back into attributes. Properties that are `false`, `null`, `undefined` or `NaN` are left
+ * out, `true` becomes an empty attribute, and lists are joined the way they're written in HTML.
+ *
+ * @param {{[property: string]: *}} properties
+ * @param {boolean} isHTML Whether the properties belong to an HTML element
+ * @returns {{[name: string]: string}}
+ */
+export function toAttributes(properties, isHTML) {
+	const attributes = {}
+
+	for (const property in properties) {
+		const value = properties[property]
+
+		if (value === false || value === null || value === undefined || Number.isNaN(value)) continue
+
+		const { attribute, kind } = findAttribute(property, isHTML)
+
+		if (Array.isArray(value)) {
+			attributes[attribute] = value.join(kind === COMMA_SEPARATED ? ", " : " ")
+		} else {
+			attributes[attribute] = value === true ? "" : `${value}`
+		}
+	}
+
+	return attributes
+}
@@ -0,0 +1,57 @@
+import isWhitespace from "./isWhitespace.js"
+
+/**
+ * Parses the part of a DOCTYPE declaration that precedes its internal subset, e.g. ` note SYSTEM "note.dtd" ` from
+ * `<!DOCTYPE note SYSTEM "note.dtd" [...]>`, into the document type's name and external identifiers. Missing parts are
+ * left `undefined`.
+ *
+ * @param {string} header Everything between `<!DOCTYPE` and either the internal subset or the closing `>`
+ * @returns {{name?: string, publicId?: string, systemId?: string}}
+ */
+export default function parseDoctype(header) {
+	if (typeof header !== "string") throw new TypeError("Expected 'header' to be a string")
+
+	let i = 0
+
+	const skipWhitespace = () => {
+		while (i < header.length && isWhitespace(header[i])) i++
+	}
+	const readWord = () => {
+		const start = i
+
+		while (i < header.length && !isWhitespace(header[i]) && header[i] !== `"` && header[i] !== `'`) i++
+
+		return start === i ? undefined : header.substring(start, i)
+	}
+	const readLiteral = () => {
+		skipWhitespace()
+
+		const quote = header[i]
+
+		if (quote !== `"` && quote !== `'`) return
+
+		const end = header.indexOf(quote, i + 1)
+		const literal = header.substring(i + 1, end < 0 ? header.length : end)
+
+		i = end < 0 ? header.length : end + 1
+
+		return literal
+	}
+
+	skipWhitespace()
+
+	const doctype = { name: readWord(), publicId: undefined, systemId: undefined }
+
+	skipWhitespace()
+
+	const keyword = readWord()?.toUpperCase()
+
+	if (keyword === "PUBLIC") {
+		doctype.publicId = readLiteral()
+		doctype.systemId = readLiteral()
+	} else if (keyword === "SYSTEM") {
+		doctype.systemId = readLiteral()
+	}
+
+	return doctype
+}
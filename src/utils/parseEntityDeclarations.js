@@ -0,0 +1,87 @@
+import decodeEntities from "./decodeEntities.js"
+
+// Most characters the replacement texts of every entity may add up to, keeping nested declarations from blowing up
+// exponentially
+const MAX_LENGTH = 1000000
+
+/**
+ * Collects the internal general entities declared within a DTD's internal subset, such as `<!ENTITY writer "Donald">`,
+ * mapping each entity's name to its replacement text. Character references and references to other declared entities
+ * within the values are expanded. Parameter entities, external entities, entities that refer to themselves, and
+ * entities that would take the replacement texts past a million characters altogether are left out.
+ *
+ * @param {string} subset The internal subset, without its surrounding brackets
+ * @returns {{[name: string]: string}}
+ */
+export default function parseEntityDeclarations(subset) {
+	if (typeof subset !== "string") throw new TypeError("Expected 'subset' to be a string")
+
+	const declarations = /<!ENTITY\s+([^\s%"'>][^\s"'>]*)\s+(?:"([^"]*)"|'([^']*)')\s*>/g
+	const literals = new Map()
+	const entities = new Map()
+	const visited = new Set()
+	let total = 0 // characters held by the entities resolved so far
+	let match
+
+	subset = subset.replace(/<!--[\s\S]*?-->|<\?[\s\S]*?\?>/g, "")
+
+	// The first declaration of an entity is the one that counts
+	while ((match = declarations.exec(subset))) {
+		if (!literals.has(match[1])) literals.set(match[1], match[2] ?? match[3])
+	}
+
+	// Entities can refer to each other in chains of any length, so they're resolved through a stack rather than recursion
+	const resolve = name => {
+		const pending = [] // the entities being resolved, each waiting on the one after it
+		const open = name => {
+			visited.add(name)
+			pending.push({ name, parts: literals.get(name).split(/(&[^\s&;]+;)/), index: 0, value: "", valid: true })
+		}
+
+		open(name)
+
+		while (pending.length) {
+			const entity = pending[pending.length - 1]
+
+			while (entity.valid && entity.index < entity.parts.length) {
+				const part = entity.parts[entity.index]
+				const reference =
+					part[0] === "&" && part[part.length - 1] === ";" ? part.substring(1, part.length - 1) : undefined
+
+				if (reference !== undefined && reference[0] !== "#" && literals.has(reference)) {
+					// The part is read again once the entity it refers to is resolved
+					if (!visited.has(reference)) {
+						open(reference)
+						break
+					}
+
+					// Entities that are visited again are either being resolved (a cycle) or have already failed to resolve
+					const resolved = entities.get(reference)
+
+					if (resolved === undefined) entity.valid = false
+
+					entity.value = `${entity.value}${resolved}`
+				} else {
+					entity.value = `${entity.value}${decodeEntities(part)}`
+				}
+
+				if (entity.value.length > MAX_LENGTH - total) entity.valid = false
+
+				entity.index++
+			}
+
+			if (pending[pending.length - 1] !== entity) continue
+
+			pending.pop()
+
+			if (entity.valid) {
+				entities.set(entity.name, entity.value)
+				total += entity.value.length
+			}
+		}
+	}
+
+	for (const name of literals.keys()) if (!visited.has(name)) resolve(name)
+
+	return Object.fromEntries(entities)
+}
@@ -0,0 +1,18 @@
+/**
+ * Parses the pseudo-attributes of a processing instruction's data, such as `version="1.0" encoding="UTF-8"`. Parsing
+ * stops at the first thing that isn't a quoted pseudo-attribute.
+ *
+ * @param {string} data The data of the processing instruction
+ * @returns {{[name: string]: string}}
+ */
+export default function parsePseudoAttributes(data) {
+	if (typeof data !== "string") throw new TypeError("Expected 'data' to be a string")
+
+	const pattern = /\s*([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y
+	const attributes = {}
+	let match
+
+	while ((match = pattern.exec(data))) attributes[match[1]] = match[2] ?? match[3]
+
+	return attributes
+}
@@ -0,0 +1,49 @@
+/**
+ * Parses the declarations of an inline style, e.g. `color: red; background: url("a;b.png")`, into an object mapping
+ * each property to its value. Semicolons within quotes or parentheses don't end a declaration, declarations without a
+ * property or value are skipped, and a property declared more than once keeps its last value.
+ *
+ * @param {string} style The value of a `style` attribute
+ * @returns {{[property: string]: string}}
+ */
+export default function parseStyle(style) {
+	if (typeof style !== "string") throw new TypeError("Expected 'style' to be a string")
+
+	const properties = {}
+	let quote // the quote the current character is within, if any
+	let depth = 0 // parentheses the current character is within
+	let start = 0 // index the current declaration starts at
+
+	const declare = end => {
+		const declaration = style.slice(start, end)
+		const colon = declaration.indexOf(":")
+
+		if (colon < 0) return
+
+		const property = declaration.slice(0, colon).trim()
+		const value = declaration.slice(colon + 1).trim()
+
+		if (property.length && value.length) properties[property] = value
+	}
+
+	for (let i = 0; i < style.length; i++) {
+		const char = style[i]
+
+		if (quote) {
+			if (char === quote) quote = undefined
+		} else if (char === `"` || char === `'`) {
+			quote = char
+		} else if (char === "(") {
+			depth++
+		} else if (char === ")") {
+			if (depth > 0) depth--
+		} else if (char === ";" && depth === 0) {
+			declare(i)
+			start = i + 1
+		}
+	}
+
+	declare(style.length)
+
+	return properties
+}
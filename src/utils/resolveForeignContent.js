@@ -0,0 +1,103 @@
+import hashArray from "./hashArray.js"
+import svgTagNames from "./svgTagNames.js"
+
+const SVG = "svg"
+const MATH = "math"
+
+// SVG elements whose content is HTML again
+const SVG_INTEGRATION_POINTS = hashArray(["desc", "foreignObject", "title"])
+
+// MathML elements whose content is HTML again
+const MATH_INTEGRATION_POINTS = hashArray(["mi", "mn", "mo", "ms", "mtext"])
+
+// HTML start tags that can't appear within foreign content, closing it instead
+const BREAKOUT_TAGS = hashArray([
+	"b",
+	"big",
+	"blockquote",
+	"body",
+	"br",
+	"center",
+	"code",
+	"dd",
+	"div",
+	"dl",
+	"dt",
+	"em",
+	"embed",
+	"h1",
+	"h2",
+	"h3",
+	"h4",
+	"h5",
+	"h6",
+	"head",
+	"hr",
+	"i",
+	"img",
+	"li",
+	"listing",
+	"menu",
+	"meta",
+	"nobr",
+	"ol",
+	"p",
+	"pre",
+	"ruby",
+	"s",
+	"small",
+	"span",
+	"strong",
+	"strike",
+	"sub",
+	"sup",
+	"table",
+	"tt",
+	"u",
+	"ul",
+	"var"
+])
+
+/**
+ * Works out where an HTML start tag belongs with regard to foreign (SVG and MathML) content, following the HTML
+ * standard - e.g. `<svg>` starts SVG content, `<lineargradient>` within it is an SVG `linearGradient` element, and a
+ * `<div>` within it breaks back out into HTML.
+ *
+ * @param {string} tagName The lowercase name of the tag
+ * @param {{[name: string]: any}} attributes The attributes of the tag
+ * @param {"svg"|"math"} [context] The foreign content the tag appears within, if any
+ * @returns {{tagName: string, namespace?: "svg"|"math", content?: "svg"|"math", breaksOut: boolean}} The adjusted
+ * name of the tag, the foreign content the element is part of (if any), the foreign content its children are part of
+ * (if any), and whether the tag closes the foreign content it appears within
+ */
+export default function resolveForeignContent(tagName, attributes, context) {
+	const breaksOut =
+		context !== undefined &&
+		(BREAKOUT_TAGS[tagName] === true ||
+			(tagName === "font" && ["color", "face", "size"].some(name => Object.hasOwn(attributes, name))))
+
+	if (breaksOut) context = undefined
+
+	let namespace = context
+
+	if (tagName === SVG || tagName === MATH) {
+		if (!context || (context === MATH && tagName === SVG)) namespace = tagName
+	}
+
+	if (namespace === SVG) {
+		tagName = svgTagNames[tagName] ?? tagName
+
+		return { tagName, namespace, content: SVG_INTEGRATION_POINTS[tagName] === true ? undefined : SVG, breaksOut }
+	}
+
+	if (namespace === MATH) {
+		const encoding = `${attributes.encoding ?? ""}`.toLowerCase()
+		const integrates =
+			MATH_INTEGRATION_POINTS[tagName] === true ||
+			(tagName === "annotation-xml" && (encoding === "text/html" || encoding === "application/xhtml+xml"))
+
+		return { tagName, namespace, content: integrates ? undefined : MATH, breaksOut }
+	}
+
+	return { tagName, namespace: undefined, content: undefined, breaksOut }
+}
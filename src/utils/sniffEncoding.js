@@ -0,0 +1,102 @@
+// How much of the data is looked at, the same as the prescan browsers do
+const SNIFF_LENGTH = 1024
+
+/**
+ * Returns the name `TextDecoder` knows the given encoding label by, if it supports it at all.
+ *
+ * @param {string} label An encoding label, e.g. `"Shift_JIS"` or `"latin1"`
+ * @returns {string|undefined}
+ */
+const resolveLabel = label => {
+	try {
+		return new TextDecoder(label.trim()).encoding
+	} catch {
+		return undefined
+	}
+}
+
+/**
+ * Reads the value of the given pseudo-attribute from the start of a tag, e.g. `encoding` from `<?xml version="1.0"
+ * encoding="Shift_JIS"?>`.
+ *
+ * @param {string} tag The tag, read as ASCII
+ * @param {string} name The name of the attribute
+ * @returns {string|undefined}
+ */
+const readAttribute = (tag, name) => {
+	const match = new RegExp(`[\\s"'/]${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, "i").exec(tag)
+
+	return match ? (match[1] ?? match[2] ?? match[3]) : undefined
+}
+
+/**
+ * Looks for the encoding declared by a `<meta charset="...">` tag, or by a `<meta http-equiv="Content-Type"
+ * content="...; charset=...">` tag, in the given ASCII view of the data.
+ *
+ * @param {string} head The start of the data, read as ASCII
+ * @returns {string|undefined}
+ */
+const readMetaCharset = head => {
+	const comments = /<!--[\s\S]*?-->/g
+	const metas = /<meta[\s/][^>]*>/gi
+	const markup = head.replace(comments, "")
+	let match
+
+	while ((match = metas.exec(markup))) {
+		const tag = match[0]
+		const charset = readAttribute(tag, "charset")
+
+		if (charset !== undefined) return charset
+		if (readAttribute(tag, "http-equiv")?.toLowerCase() !== "content-type") continue
+
+		const content = /charset\s*=\s*["']?([^"';\s]+)/i.exec(readAttribute(tag, "content") ?? "")
+
+		if (content) return content[1]
+	}
+}
+
+/**
+ * Works out the character encoding of binary data, looking in order at its byte order mark, at the `encoding` of its
+ * XML declaration, and in HTML mode at its `<meta charset>` or `http-equiv` declaration. Labels `TextDecoder` doesn't
+ * support are passed over, and data that declares nothing is taken to be UTF-8.
+ *
+ * @param {Uint8Array} bytes The start of the data
+ * @param {boolean} [htmlMode] Whether to look for HTML's meta declarations
+ * @returns {{encoding: string, source: "bom"|"xml-declaration"|"meta"|"default"}} The encoding, as named by
+ * `TextDecoder`, and what it was worked out from
+ */
+export default function sniffEncoding(bytes, htmlMode = false) {
+	if (!(bytes instanceof Uint8Array)) throw new TypeError("Expected 'bytes' to be a Buffer or Uint8Array")
+
+	if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return { encoding: "utf-8", source: "bom" }
+	if (bytes[0] === 0xfe && bytes[1] === 0xff) return { encoding: "utf-16be", source: "bom" }
+	if (bytes[0] === 0xff && bytes[1] === 0xfe) return { encoding: "utf-16le", source: "bom" }
+
+	// A UTF-16 XML declaration without a byte order mark still shows itself through where the zero bytes fall
+	if (bytes[0] === 0x3c && bytes[1] === 0x00 && bytes[2] === 0x3f && bytes[3] === 0x00)
+		return { encoding: "utf-16le", source: "xml-declaration" }
+	if (bytes[0] === 0x00 && bytes[1] === 0x3c && bytes[2] === 0x00 && bytes[3] === 0x3f)
+		return { encoding: "utf-16be", source: "xml-declaration" }
+
+	const head = String.fromCharCode(...bytes.subarray(0, SNIFF_LENGTH))
+
+	if (head.startsWith("<?xml")) {
+		const end = head.indexOf("?>")
+		const label = end < 0 ? undefined : readAttribute(head.slice(0, end), "encoding")
+		const encoding = label === undefined ? undefined : resolveLabel(label)
+
+		if (encoding) return { encoding, source: "xml-declaration" }
+	}
+
+	if (htmlMode) {
+		const label = readMetaCharset(head)
+		const encoding = label === undefined ? undefined : resolveLabel(label)
+
+		// Documents that made it this far are ASCII-compatible, so a UTF-16 declaration can't be right
+		if (encoding) return { encoding: encoding.startsWith("utf-16") ? "utf-8" : encoding, source: "meta" }
+	}
+
+	return { encoding: "utf-8", source: "default" }
+}
+
+export { SNIFF_LENGTH }
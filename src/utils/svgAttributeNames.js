@@ -0,0 +1,63 @@
+// SVG attribute names as the HTML standard adjusts them from their lowercase form, keyed by that lowercase form
+export default Object.fromEntries(
+	[
+		"attributeName",
+		"attributeType",
+		"baseFrequency",
+		"baseProfile",
+		"calcMode",
+		"clipPathUnits",
+		"diffuseConstant",
+		"edgeMode",
+		"filterUnits",
+		"glyphRef",
+		"gradientTransform",
+		"gradientUnits",
+		"kernelMatrix",
+		"kernelUnitLength",
+		"keyPoints",
+		"keySplines",
+		"keyTimes",
+		"lengthAdjust",
+		"limitingConeAngle",
+		"markerHeight",
+		"markerUnits",
+		"markerWidth",
+		"maskContentUnits",
+		"maskUnits",
+		"numOctaves",
+		"pathLength",
+		"patternContentUnits",
+		"patternTransform",
+		"patternUnits",
+		"pointsAtX",
+		"pointsAtY",
+		"pointsAtZ",
+		"preserveAlpha",
+		"preserveAspectRatio",
+		"primitiveUnits",
+		"refX",
+		"refY",
+		"repeatCount",
+		"repeatDur",
+		"requiredExtensions",
+		"requiredFeatures",
+		"specularConstant",
+		"specularExponent",
+		"spreadMethod",
+		"startOffset",
+		"stdDeviation",
+		"stitchTiles",
+		"surfaceScale",
+		"systemLanguage",
+		"tableValues",
+		"targetX",
+		"targetY",
+		"textLength",
+		"viewBox",
+		"viewTarget",
+		"xChannelSelector",
+		"yChannelSelector",
+		"zoomAndPan"
+	].map(name => [name.toLowerCase(), name])
+)
@@ -0,0 +1,42 @@
+// SVG element names as the HTML standard adjusts them from their lowercase form, keyed by that lowercase form
+export default Object.fromEntries(
+	[
+		"altGlyph",
+		"altGlyphDef",
+		"altGlyphItem",
+		"animateColor",
+		"animateMotion",
+		"animateTransform",
+		"clipPath",
+		"feBlend",
+		"feColorMatrix",
+		"feComponentTransfer",
+		"feComposite",
+		"feConvolveMatrix",
+		"feDiffuseLighting",
+		"feDisplacementMap",
+		"feDistantLight",
+		"feDropShadow",
+		"feFlood",
+		"feFuncA",
+		"feFuncB",
+		"feFuncG",
+		"feFuncR",
+		"feGaussianBlur",
+		"feImage",
+		"feMerge",
+		"feMergeNode",
+		"feMorphology",
+		"feOffset",
+		"fePointLight",
+		"feSpecularLighting",
+		"feSpotLight",
+		"feTile",
+		"feTurbulence",
+		"foreignObject",
+		"glyphRef",
+		"linearGradient",
+		"radialGradient",
+		"textPath"
+	].map(name => [name.toLowerCase(), name])
+)
@@ -10,20 +10,20 @@ import isWhitespace from "./isWhitespace.js"
 export default function truncateWhitespace(string, includeSymbols = false) {
 	if (typeof string !== "string") throw new TypeError("Expected 'string' to be a sting")
 
-	let n = ""
+	let truncated = ""
+	let start = 0 // index of the first character not yet added to the result
 
-	for (let c of string) {
-		const p = n[n.length - 1]
+	for (let i = 0; i < string.length; i++) {
+		if (!isWhitespace(string[i], includeSymbols)) continue
 
-		if (isWhitespace(c, includeSymbols)) {
-			if (p === "\u0020") continue
+		let end = i + 1
 
-			n = `${n}\u0020`
-			continue
-		}
+		while (end < string.length && isWhitespace(string[end], includeSymbols)) end++
 
-		n = `${n}${c}`
+		truncated = `${truncated}${string.slice(start, i)}\u0020`
+		start = end
+		i = end
 	}
 
-	return n
+	return start ? `${truncated}${string.slice(start)}` : string
 }
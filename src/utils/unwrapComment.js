@@ -0,0 +1,10 @@
+/**
+ * Gives the content of a comment node, whose value is the whole comment as it was written, e.g. `" note "` for
+ * `<!-- note -->`.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+export default function unwrapComment(value) {
+	return value.slice(value.startsWith("<!--") ? 4 : 0, value.endsWith("-->") ? -3 : undefined)
+}
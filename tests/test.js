@@ -1,6 +1,26 @@
-import parse from "../src/index.js"
+import parse, {
+	createParseStream,
+	createSaxParser,
+	createStreamParser,
+	Doctype,
+	fromHast,
+	fromXast,
+	parseFragment,
+	parseStream,
+	ProcessingInstruction,
+	serialize,
+	toHast,
+	toObject,
+	toXast
+} from "../src/index.js"
+import cli from "../src/cli.js"
+import { Node } from "virty"
 import { z } from "zod"
 import { describe, it } from "node:test"
+import { Readable } from "node:stream"
+import { mkdtemp, rm, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
 import assert from "node:assert"
 
 const COMMENT = "comment"
@@ -243,4 +263,1684 @@ describe("parse", () => {
 			}
 		})
 	}
+
+	it("leaves the options it's given as they were", () => {
+		const options = { htmlMode: true, voidElements: ["x"], rawTextElements: ["y"], mustPreserveWhitespace: ["z"] }
+		const given = structuredClone(options)
+		const parsed = parse(`<p>a<x>b`, options)
+
+		serialize(parsed, options)
+		toObject(parsed, options)
+
+		assert.deepStrictEqual(options, given)
+	})
+
+	it("parses the same way every time it's given the same options", () => {
+		const options = { voidElements: ["br"], rawTextElements: ["pre"], trimText: true, mustPreserveWhitespace: ["pre"] }
+		const data = `<p><br> a </p><pre> <b> </pre>`
+		const [first, second] = [parse(data, options), parse(data, options)]
+
+		assert.deepStrictEqual(second.toObject(), first.toObject())
+		assert.strictEqual(second.children[1].firstChild.value, " <b> ")
+	})
+})
+
+describe("positions", () => {
+	const data = `  <div id="a" b>
+	text<!-- c --></div>`
+	const parsed = parse(data, { positions: true })
+	const slice = ({ start, end }) => data.slice(start.offset, end.offset)
+
+	it("attaches positions relative to the untrimmed data", () => {
+		const div = parsed.firstChild
+
+		assert.strictEqual(slice(parsed.position), data)
+		assert.strictEqual(slice(div.position), data.trim())
+		assert.deepStrictEqual(div.position.start, { offset: 2, line: 1, column: 3 })
+		assert.deepStrictEqual(div.lastChild.position.start, { offset: 22, line: 2, column: 6 })
+	})
+
+	it("separates the open tag, close tag and attribute ranges", () => {
+		const div = parsed.firstChild
+
+		assert.strictEqual(slice(div.position.openTag), `<div id="a" b>`)
+		assert.strictEqual(slice(div.position.closeTag), `</div>`)
+		assert.strictEqual(slice(div.position.attributes.id.name), `id`)
+		assert.strictEqual(slice(div.position.attributes.id.value), `a`)
+		assert.strictEqual(div.position.attributes.b.value, undefined)
+	})
+
+	it("ranges text and comment nodes", () => {
+		const [text, comment] = parsed.firstChild.children
+
+		assert.strictEqual(slice(text.position), `\n\ttext`)
+		assert.strictEqual(slice(comment.position), `<!-- c -->`)
+	})
+
+	it("does not attach positions by default", () => {
+		assert.strictEqual(parse(data).firstChild.position, undefined)
+	})
+})
+
+describe("recover", () => {
+	it("throws on malformed data by default", () => {
+		assert.throws(() => parse(`<div></span></div>`), { name: "UnmatchedClosingTag" })
+		assert.throws(() => parse(`<div class="a" <p></p></div>`), { name: "UnexpectedTokenError" })
+		assert.throws(() => parse(`<!-- never`), { name: "UnexpectedEndOfInputError" })
+	})
+
+	it("throws on sections left open at the end, however little they hold", () => {
+		for (const data of [`a <`, `<?`, `<!DOCTYPE`, `<![CDATA[`, `</`, `<p/`])
+			assert.throws(() => parse(data), { name: "UnexpectedEndOfInputError" }, data)
+
+		assert.throws(() => parse(`<script>`, { htmlMode: true }), { name: "UnexpectedEndOfInputError" })
+		assert.strictEqual(parse(`<![CDATA[`, { recover: true }).diagnostics[0].code, "unterminated-cdata")
+	})
+
+	it("collects every problem as a diagnostic", () => {
+		const parsed = parse(`<div class="a" <p></span></p>\n<!-- never`, { recover: true })
+
+		assert.deepStrictEqual(
+			parsed.diagnostics.map(({ code, line, column }) => ({ code, line, column })),
+			[
+				{ code: "unexpected-token", line: 1, column: 16 },
+				{ code: "unmatched-closing-tag", line: 1, column: 19 },
+				{ code: "unterminated-comment", line: 2, column: 1 }
+			]
+		)
+		assert.strictEqual(parsed.diagnostics[1].frame, `> 1 | <div class="a" <p></span></p>\n    |                   ^\n  2 | <!-- never`)
+	})
+
+	it("frames problems found while streaming from the lines around them", () => {
+		const data = `<root>\n  <item>one</item>\n  <item>two</span></item>\n</root>`
+		const diagnostics = []
+		const parser = createSaxParser({ diagnostic: diagnostic => diagnostics.push(diagnostic) }, { recover: true })
+
+		for (let i = 0; i < data.length; i += 4) parser.write(data.slice(i, i + 4))
+
+		parser.end()
+
+		assert.strictEqual(diagnostics[0].column, 12)
+		assert.strictEqual(diagnostics[0].frame, `  2 |   <item>one</item>\n> 3 |   <item>two</span>\n    |            ^`)
+	})
+
+	it("returns the best-effort structure", () => {
+		const parsed = parse(`<div class="a" <p>text</span></p><![CDATA[data`, { recover: true })
+		const div = parsed.firstChild
+
+		assert.deepStrictEqual(div.attributes, { class: "a" })
+		assert.strictEqual(div.firstChild.tagName, "p")
+		assert.strictEqual(div.firstChild.text, "text</span>")
+		assert.strictEqual(div.lastChild.type, "cdata")
+		assert.strictEqual(div.lastChild.value, "data")
+	})
+
+	it("finishes tags cut off by the end of the data", () => {
+		const parsed = parse(`<img src="a.png`, { recover: true })
+
+		assert.strictEqual(parsed.diagnostics[0].code, "unexpected-end-of-input")
+		assert.deepStrictEqual(parsed.firstChild.attributes, { src: "a.png" })
+	})
+})
+
+describe("misnesting", () => {
+	const tagNames = node =>
+		node.children
+			.filter(child => child.type === ELEMENT)
+			.map(child => `${child.tagName}(${tagNames(child).join(",")})`)
+
+	it("closes the elements left open inside a closing tag's element by default", () => {
+		const parsed = parse(`<a><b><c></a>`)
+		const b = parsed.children[0].children[0]
+
+		assert.deepStrictEqual(tagNames(parsed), ["a(b(c()))"])
+		assert.strictEqual(b.implicitlyClosed, true)
+		assert.strictEqual(b.children[0].implicitlyClosed, true)
+		assert.strictEqual(parsed.children[0].implicitlyClosed, undefined)
+		assert.throws(() => parse(`<a></b></a>`), { name: "UnmatchedClosingTag" })
+	})
+
+	it("throws on every repair with the strict policy", () => {
+		assert.throws(() => parse(`<b><i></b></i>`, { misnesting: "strict" }), { name: "MisnestedClosingTagError" })
+		assert.throws(() => parse(`<b>`, { misnesting: "strict" }), { name: "UnexpectedEndOfInputError" })
+		assert.doesNotThrow(() => parse(`<html><ul><li>a<li>b</ul><p>c`, { misnesting: "strict", htmlMode: true }))
+
+		const parsed = parse(`<b><i></b>`, { misnesting: "strict", recover: true })
+
+		assert.deepStrictEqual(parsed.diagnostics.map(({ code }) => code), ["misnested-closing-tag"])
+		assert.deepStrictEqual(tagNames(parsed), ["b(i())"])
+	})
+
+	it("ignores stray closing tags with a warning", () => {
+		const parsed = parse(`<div></span><p></div>`, { misnesting: "ignore-stray" })
+
+		assert.deepStrictEqual(tagNames(parsed), ["div(p())"])
+		assert.deepStrictEqual(
+			parsed.diagnostics.map(({ code, severity, column }) => ({ code, severity, column })),
+			[{ code: "unmatched-closing-tag", severity: "warning", column: 6 }]
+		)
+	})
+
+	it("opens misnested elements again with the adoption agency policy", () => {
+		const data = `<b><i class="x">One</b>Two</i>`
+		const parsed = parse(data, { misnesting: "adoption-agency" })
+		const i = parsed.children[1]
+
+		assert.deepStrictEqual(tagNames(parsed), ["b(i())", "i()"])
+		assert.strictEqual(i.implicitlyOpened, true)
+		assert.deepStrictEqual(i.attributes, { class: "x" })
+		assert.strictEqual(i.text, "Two")
+		assert.strictEqual(serialize(parsed), data)
+
+		// Only formatting elements are carried over in HTML
+		assert.deepStrictEqual(tagNames(parse(`<div><span><b>x</div>y`, { misnesting: "adoption-agency", htmlMode: true })), [
+			"div(span(b()))",
+			"b()"
+		])
+	})
+})
+
+describe("structural rules", () => {
+	const data = `<config>
+	<server><port>80</port><host/></server>
+	<flag></flag>
+	<list>text<item/></list>
+	<secret><a><b>leak</b></a></secret>
+</config>`
+
+	it("throws on errors", () => {
+		assert.throws(() => parse(data, { mustSelfClose: ["flag"] }), {
+			name: "RuleViolationError",
+			rule: "mustSelfClose",
+			tagName: "flag"
+		})
+		assert.throws(() => parse(data, { mustNotSelfClose: ["host"] }), { name: "RuleViolationError" })
+		assert.throws(() => parse(data, { mustNotContainElementNodes: ["server"] }), { name: "RuleViolationError" })
+		assert.throws(() => parse(data, { mustNotContainTextNodes: ["list"] }), { name: "RuleViolationError" })
+		assert.throws(() => parse(data, { mustNotContainTextNodesStrict: ["secret"] }), { name: "RuleViolationError" })
+		assert.doesNotThrow(() =>
+			parse(data, {
+				ignoreEmptyText: true,
+				mustSelfClose: ["host"],
+				mustNotSelfClose: ["flag"],
+				mustNotContainElementNodes: ["port"],
+				mustNotContainTextNodes: ["server"],
+				mustNotContainTextNodesStrict: ["flag"]
+			})
+		)
+	})
+
+	it("only counts whitespace as text where it's preserved", () => {
+		const indented = `<list>\n\t<item/>\n</list>`
+
+		assert.doesNotThrow(() => parse(indented, { mustNotContainTextNodes: ["list"] }))
+		assert.doesNotThrow(() => parse(`<a> <b> </b> </a>`, { mustNotContainTextNodesStrict: ["a"] }))
+		assert.throws(() => parse(indented, { mustNotContainTextNodes: ["list"], mustPreserveWhitespace: ["list"] }), {
+			name: "RuleViolationError"
+		})
+		assert.throws(() => parse(`<a><b xml:space="preserve"> </b></a>`, { mustNotContainTextNodesStrict: ["a"] }), {
+			name: "RuleViolationError"
+		})
+	})
+
+	it("reports violations by rule, tag and location", () => {
+		const parsed = parse(data, {
+			ignoreEmptyText: true,
+			mustNotSelfClose: { host: "warning" },
+			mustSelfClose: { flag: "error" },
+			mustNotContainTextNodes: { list: "warning" },
+			mustNotContainTextNodesStrict: ["secret"],
+			recover: true
+		})
+
+		assert.deepStrictEqual(
+			parsed.diagnostics.map(({ code, severity, rule, tagName, line, column }) => [
+				code,
+				severity,
+				rule,
+				tagName,
+				line,
+				column
+			]),
+			[
+				["rule-violation", "warning", "mustNotSelfClose", "host", 2, 25],
+				["rule-violation", "error", "mustSelfClose", "flag", 3, 2],
+				["rule-violation", "warning", "mustNotContainTextNodes", "list", 4, 8],
+				["rule-violation", "error", "mustNotContainTextNodesStrict", "secret", 5, 16]
+			]
+		)
+	})
+
+	it("collects warnings without recovering", () => {
+		const parsed = parse(data, { mustNotContainElementNodes: { a: "warning" } })
+
+		assert.strictEqual(parsed.diagnostics.length, 1)
+		assert.strictEqual(parsed.diagnostics[0].message, "Element 'a' must not contain elements")
+	})
+})
+
+describe("filtering", () => {
+	const html = `<html><head><title>T</title><script>a<b</script></head><body class="x"><!--c--><p id="1">x<style>s</style><br>y</p><div><b>z</b></div></body></html>`
+	const filter = options => parse(html, { htmlMode: true, ...options }).toString()
+
+	it("ignores nodes by type", () => {
+		assert.strictEqual(
+			filter({ ignoreAttributes: true, ignoreCommentNodes: true }),
+			"<ROOT><html><head><title>T</title><script>a<b</script></head><body><p>x<style>s</style><br />y</p><div><b>z</b></div></body></html></ROOT>"
+		)
+		assert.strictEqual(filter({ ignoreElementNodes: true }), "<ROOT>Ta<b<!--c-->xsyz</ROOT>")
+		assert.strictEqual(
+			filter({ ignoreTextNodes: true }),
+			`<ROOT><html><head><title></title><script></script></head><body class="x"><!--c--><p id="1"><style></style><br /></p><div><b></b></div></body></html></ROOT>`
+		)
+	})
+
+	it("leaves out excluded subtrees", () => {
+		assert.strictEqual(
+			filter({ excludeElements: ["HEAD", "style"] }),
+			`<ROOT><html><body class="x"><!--c--><p id="1">x<br />y</p><div><b>z</b></div></body></html></ROOT>`
+		)
+	})
+
+	it("keeps only included subtrees", () => {
+		assert.strictEqual(
+			filter({ includeElements: ["body"] }),
+			`<ROOT><body class="x"><!--c--><p id="1">x<style>s</style><br />y</p><div><b>z</b></div></body></ROOT>`
+		)
+		assert.strictEqual(
+			filter({ includeElements: ["p", "b", "br"], excludeElements: ["style"] }),
+			`<ROOT><p id="1">x<br />y</p><b>z</b></ROOT>`
+		)
+	})
+
+	it("keeps the rest of the structure intact", () => {
+		const parsed = parse(`<a><skip><a>x</a></skip><b/>text</a>`, { excludeElements: ["skip"], positions: true })
+		const a = parsed.children[0]
+
+		assert.deepStrictEqual(a.children.map(child => child.tagName ?? child.value), ["b", "text"])
+		assert.strictEqual(a.position.closeTag.start.offset, 32)
+	})
+})
+
+describe("hooks", () => {
+	it("rewrites attributes", () => {
+		const parsed = parse(`<a href="/x" data-id="1" class='c' hidden>y</a>`, {
+			onAttribute: (name, value, { tagName, attributes }) => {
+				if (name === "href") return [name, `https://example.com${value}`]
+				if (name === "data-id") return false
+				if (name === "class") return ["className", `${value}${Object.keys(attributes).length}`]
+				assert.strictEqual(tagName, "a")
+			}
+		})
+
+		assert.deepStrictEqual(parsed.children[0].attributes, {
+			href: "https://example.com/x",
+			className: "c1",
+			hidden: ""
+		})
+		assert.strictEqual(serialize(parsed), `<a href="https://example.com/x" hidden className="c1">y</a>`)
+	})
+
+	it("renames, replaces and drops elements", () => {
+		const elements = []
+		const parsed = parse(`<div><b class="x">a</b><script>b<i></script><img src=c><p>d<b>e</b></p></div>`, {
+			htmlMode: true,
+			onElement: (element, { parent, ancestors }) => {
+				elements.push(`${ancestors.join(">")}|${parent}|${element.tagName}${element.isSelfClosing ? "/" : ""}`)
+
+				if (element.tagName === "b") return { tagName: "strong" }
+				if (element.tagName === "script" || element.tagName === "p") return false
+				if (element.tagName === "img") return { attributes: { alt: "" } }
+			}
+		})
+
+		assert.strictEqual(parsed.toString(), `<ROOT><div><strong class="x">a</strong><img alt="" /></div></ROOT>`)
+		assert.strictEqual(serialize(parsed), `<div><strong class="x">a</strong><img alt=""></div>`)
+		assert.deepStrictEqual(elements, ["|ROOT|div", "div|div|b", "div|div|script", "div|div|img/", "div|div|p"])
+	})
+
+	it("renames elements closed by tags with whitespace around their names", () => {
+		const parsed = parse(`<b>a</ b><b>b< /b><b>c</b\n><b>d</\nb>`, {
+			htmlMode: true,
+			onElement: () => ({ tagName: "strong" })
+		})
+
+		assert.strictEqual(
+			serialize(parsed),
+			`<strong>a</ strong><strong>b< /strong><strong>c</strong\n><strong>d</\nstrong>`
+		)
+	})
+
+	it("keeps hooked elements across misnesting and positions", () => {
+		const parsed = parse(`<b>x<i>y</b>z</i>`, {
+			misnesting: "adoption-agency",
+			positions: true,
+			onElement: ({ tagName }) => ({ tagName: tagName.toUpperCase() })
+		})
+
+		assert.strictEqual(parsed.toString(), `<ROOT><B>x<I>y</I></B><I>z</I></ROOT>`)
+		assert.strictEqual(serialize(parsed), `<B>x<I>y</B>z</I>`)
+		assert.strictEqual(parsed.children[0].position.closeTag.start.offset, 8)
+	})
+
+	it("replaces and drops comments and CDATA", () => {
+		const parsed = parse(`<!--a--><x><!--b--><![CDATA[ c ]]><![CDATA[d]]></x>`, {
+			onComment: (value, { parent }) => (parent === "ROOT" ? "<!--kept-->" : false),
+			onCDATA: value => (value === "d" ? false : value.trim())
+		})
+
+		assert.strictEqual(serialize(parsed), `<!--kept--><x><![CDATA[c]]></x>`)
+	})
+
+	it("passes context to onText", () => {
+		const contexts = []
+
+		parse(`<a><b>x</b>y</a>`, {
+			positions: true,
+			onText: (text, { parent, ancestors, position, options }) => {
+				contexts.push([text, parent, ancestors, position.start.offset, options.positions])
+
+				return text
+			}
+		})
+
+		assert.deepStrictEqual(contexts, [
+			["x", "b", ["a", "b"], 6, true],
+			["y", "a", ["a"], 11, true]
+		])
+	})
+
+	it("runs in the event parser", () => {
+		const events = []
+		const sax = createSaxParser(
+			{
+				openTag: ({ tagName }) => events.push(tagName),
+				closeTag: ({ tagName }) => events.push(`/${tagName}`),
+				text: ({ value }) => events.push(value)
+			},
+			{ onElement: ({ tagName }) => (tagName === "skip" ? false : { tagName: `x-${tagName}` }) }
+		)
+
+		sax.write(`<a><skip><b>no</b></skip>yes</a>`).end()
+
+		assert.deepStrictEqual(events, ["x-a", "yes", "/x-a"])
+	})
+})
+
+describe("parseAttributes", () => {
+	it("coerces values by default", () => {
+		const element = parse(
+			`<x class=" a  b" style="color: red; background: url('a;b.png');" n="-1.5" zip="007" on="true" off="false" bare json='{"a":[1]}' s="[x"/>`,
+			{ parseAttributes: true }
+		).children[0]
+
+		assert.deepStrictEqual(element.parsedAttributes, {
+			class: ["a", "b"],
+			style: { color: "red", background: "url('a;b.png')" },
+			n: -1.5,
+			zip: "007",
+			on: true,
+			off: false,
+			bare: true,
+			json: { a: [1] },
+			s: "[x"
+		})
+		assert.strictEqual(element.attributes.zip, "007")
+		assert.strictEqual(element.attributes.bare, "")
+	})
+
+	it("recognizes HTML boolean attributes", () => {
+		const parsedOf = (data, htmlMode) => parse(data, { htmlMode, parseAttributes: true }).children[0].parsedAttributes
+
+		assert.deepStrictEqual(parsedOf(`<input checked="checked" disabled="" hidden="until-found">`, true), {
+			checked: true,
+			disabled: true,
+			hidden: "until-found"
+		})
+		assert.deepStrictEqual(parsedOf(`<input checked="checked"/>`, false), { checked: "checked" })
+	})
+
+	it("follows the schema", () => {
+		const elements = parse(`<a n="1" m="2" class="x y" d="2024-01-02"></a><b n="1"></b>`, {
+			parseAttributes: {
+				"*": { n: "string", class: "string" },
+				a: { n: "number", d: value => new Date(value) }
+			}
+		}).children
+
+		assert.deepStrictEqual(elements[0].parsedAttributes, { n: 1, m: 2, class: "x y", d: new Date("2024-01-02") })
+		assert.deepStrictEqual(elements[1].parsedAttributes, { n: "1" })
+	})
+
+	it("only coerces when enabled", () => {
+		const options = { parseAttributes: true, ignoreAttributes: true }
+
+		assert.strictEqual(parse(`<a b="1"/>`).children[0].parsedAttributes, undefined)
+		assert.strictEqual(parse(`<a b="1"/>`, options).children[0].parsedAttributes, undefined)
+	})
+})
+
+describe("duplicate attributes", () => {
+	const data = `<a x="1" y=2 x='3' z x="4"/>`
+
+	it("keeps the values the policy asks for", () => {
+		const attributesOf = duplicateAttributes => parse(data, { duplicateAttributes }).children[0].attributes
+
+		assert.deepStrictEqual(attributesOf(undefined), { x: "4", y: "2", z: "" })
+		assert.deepStrictEqual(attributesOf("first"), { x: "1", y: "2", z: "" })
+		assert.deepStrictEqual(attributesOf("array"), { x: "4", y: "2", z: "" })
+		assert.deepStrictEqual(parse(data, { duplicateAttributes: "array" }).children[0].repeatedAttributes, {
+			x: ["1", "3", "4"]
+		})
+	})
+
+	it("reports repeats", () => {
+		assert.throws(() => parse(data, { duplicateAttributes: "error" }), {
+			name: "DuplicateAttributeError",
+			attributeName: "x"
+		})
+
+		const parsed = parse(data, { duplicateAttributes: "error", recover: true })
+
+		assert.deepStrictEqual(
+			parsed.diagnostics.map(({ code, name, offset }) => [code, name, offset]),
+			[
+				["duplicate-attribute", "x", 13],
+				["duplicate-attribute", "x", 21]
+			]
+		)
+		assert.deepStrictEqual(parsed.children[0].attributes, { x: "1", y: "2", z: "" })
+	})
+
+	it("still serializes every repeat", () => {
+		for (const duplicateAttributes of ["first", "last", "array"]) {
+			assert.strictEqual(serialize(parse(data, { duplicateAttributes })), data)
+		}
+	})
+
+	it("gives arrays to events", () => {
+		const events = []
+
+		createSaxParser({ selfClosing: ({ attributes }) => events.push(attributes) }, { duplicateAttributes: "array" })
+			.write(data)
+			.end()
+
+		assert.deepStrictEqual(events, [{ x: ["1", "3", "4"], y: "2", z: "" }])
+	})
+
+	it("lists attributes in order", () => {
+		assert.deepStrictEqual(parse(data, { attributeRecords: true }).children[0].attributeRecords, [
+			{ name: "x", value: "1", quote: `"`, isBare: false },
+			{ name: "y", value: "2", quote: "", isBare: false },
+			{ name: "x", value: "3", quote: "'", isBare: false },
+			{ name: "z", value: "", quote: undefined, isBare: true },
+			{ name: "x", value: "4", quote: `"`, isBare: false }
+		])
+	})
+})
+
+describe("mustPreserveWhitespace", () => {
+	const options = { ignoreEmptyText: true, trimText: true, truncateText: true }
+
+	it("keeps whitespace within listed elements and their descendants", () => {
+		assert.strictEqual(
+			parse(`<a> x  <b> y  <c> z </c></b> <d> w </d></a>`, { ...options, mustPreserveWhitespace: ["b"] }).toString(),
+			"<ROOT><a>x<b> y  <c> z </c></b><d>w</d></a></ROOT>"
+		)
+	})
+
+	it("includes HTML's preformatted elements", () => {
+		assert.strictEqual(
+			parse(`<div> a <PRE>\n b  c </PRE> <code> d </code></div>`, { ...options, htmlMode: true }).toString(),
+			"<ROOT><div>a<pre>\n b  c </pre><code> d </code></div></ROOT>"
+		)
+		assert.strictEqual(parse(`<pre> a </pre>`, options).toString(), "<ROOT><pre>a</pre></ROOT>")
+	})
+
+	it("follows xml:space", () => {
+		assert.strictEqual(
+			parse(`<a xml:space="preserve"> x <b xml:space="default"> y </b> <c> z </c></a>`, options).toString(),
+			`<ROOT><a xml:space="preserve"> x <b xml:space="default">y</b> <c> z </c></a></ROOT>`
+		)
+	})
+})
+
+describe("encoding", () => {
+	const latin1 = string => Buffer.from(string, "latin1")
+
+	it("sniffs byte order marks", () => {
+		const utf16le = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from("<a>é</a>", "utf16le")])
+		const utf16be = Buffer.from(utf16le).swap16()
+		const utf8 = Buffer.from("\ufeff<a>é</a>")
+
+		for (const [data, encoding] of [
+			[utf16le, "utf-16le"],
+			[utf16be, "utf-16be"],
+			[utf8, "utf-8"]
+		]) {
+			const parsed = parse(data)
+
+			assert.strictEqual(parsed.encoding, encoding)
+			assert.strictEqual(parsed.text, "é")
+			assert.strictEqual(serialize(parsed), "\ufeff<a>é</a>")
+		}
+	})
+
+	it("reads XML declarations", () => {
+		const shiftJis = Buffer.concat([
+			Buffer.from(`<?xml version="1.0" encoding='Shift_JIS'?><a>`),
+			Buffer.from([0x93, 0xfa, 0x96, 0x7b]),
+			Buffer.from("</a>")
+		])
+		const parsed = parse(shiftJis)
+
+		assert.strictEqual(parsed.encoding, "shift_jis")
+		assert.strictEqual(parsed.text, "日本")
+		assert.strictEqual(parse(Buffer.from(`<?xml version="1.0"?><a>é</a>`, "utf16le")).encoding, "utf-16le")
+		assert.strictEqual(parse(latin1(`<?xml version="1.0" encoding="bogus"?><a/>`)).encoding, "utf-8")
+	})
+
+	it("reads meta tags in htmlMode", () => {
+		const charset = latin1(`<head><!-- <meta charset="utf-8"> --><meta charset="windows-1252"></head><p>\x80</p>`)
+		const httpEquiv = latin1(`<meta http-equiv="content-type" content="text/html; charset=ISO-8859-1"><p>\xe9</p>`)
+
+		assert.strictEqual(parse(charset, { htmlMode: true }).text, "€")
+		assert.strictEqual(parse(httpEquiv, { htmlMode: true }).text, "é")
+		assert.strictEqual(parse(httpEquiv).encoding, "utf-8")
+		assert.strictEqual(parse(Buffer.from(`<meta charset="utf-16"><p>é</p>`), { htmlMode: true }).encoding, "utf-8")
+	})
+
+	it("prefers the encoding option", () => {
+		const parsed = parse(latin1(`<?xml version="1.0" encoding="utf-8"?><a>\xe9</a>`), { encoding: "latin1" })
+
+		assert.strictEqual(parsed.encoding, "windows-1252")
+		assert.strictEqual(parsed.text, "é")
+		assert.strictEqual(parse("<a/>", { encoding: "latin1" }).encoding, undefined)
+		assert.throws(() => parse(Buffer.from("<a/>"), { encoding: "nope" }), RangeError)
+	})
+
+	it("sniffs data written a byte at a time", () => {
+		const data = Buffer.from(`<?xml version="1.0" encoding="utf-16le"?><a>é</a>`, "utf16le")
+		const parser = createStreamParser()
+
+		for (let i = 0; i < data.length; i++) parser.write(data.subarray(i, i + 1))
+
+		assert.strictEqual(parser.end().text, "é")
+	})
+})
+
+describe("scanning", () => {
+	const documents = [
+		`<!-- a > b -- > c --><!---->x<!--->y`,
+		`<![CDATA[a]b]]c]]]>d]] >e]]>`,
+		`<script>a</scr</script</script >x</script>y`,
+		`<?pi a > b ?? >?><a b="x/>y" c='q"r'/><a/ b="x/y">`,
+		`<p title="  a   b  ">  lorem   ipsum <b>dolor</b>  </p>`,
+		`<img src=a/b.png alt=x data-long-name=y/><SVG:Rect x:y=z\u00a0w=v>q</SVG:Rect><a\u200bb=c<d>`
+	]
+	const options = () => ({
+		htmlMode: true,
+		positions: true,
+		recover: true,
+		truncateText: true,
+		truncateAttributes: true
+	})
+
+	it("skips runs of characters without changing the results", () => {
+		for (const data of documents) {
+			const snapshots = []
+			const stepped = parse(data, { ...options(), onSnapshot: ({ currentChar }) => snapshots.push(currentChar) })
+
+			assert.deepStrictEqual(parse(data, options()).toObject(), stepped.toObject())
+			assert.strictEqual(serialize(parse(data, options())), serialize(stepped))
+			assert.ok(snapshots.length >= data.trim().length)
+		}
+	})
+
+	it("skips runs split across chunks", () => {
+		const data = documents.join("")
+		const parser = createStreamParser(options())
+
+		for (let i = 0; i < data.length; i += 3) parser.write(data.slice(i, i + 3))
+
+		assert.deepStrictEqual(parser.end().toObject(), parse(data, options()).toObject())
+	})
+
+	it("parses tokens written in many chunks", () => {
+		const fill = "x".repeat(100)
+
+		for (const [open, close] of [
+			["<a>", "</a>"],
+			["<!--", "-->"],
+			["<![CDATA[", "]]>"],
+			[`<a b="`, `"/>`],
+			["<a ", "=1/>"]
+		]) {
+			const parser = createStreamParser({ positions: true })
+
+			parser.write(open)
+
+			for (let i = 0; i < 5000; i++) parser.write(fill)
+
+			assert.deepStrictEqual(parser.end(close), parse(`${open}${fill.repeat(5000)}${close}`, { positions: true }))
+		}
+	})
+
+	it("doesn't hold onto every chunk a long run was written in", () => {
+		const chunk = "x".repeat(2000)
+		const before = process.memoryUsage().heapUsed
+		let peak = 0
+		let text = ""
+		const parser = createSaxParser({ text: event => (text = event.value) })
+
+		parser.write("<a>")
+
+		for (let i = 0; i < 1000; i++) {
+			parser.write(chunk)
+
+			if (i % 100 === 0) peak = Math.max(peak, process.memoryUsage().heapUsed - before)
+		}
+
+		parser.end("</a>")
+
+		assert.strictEqual(text.length, 2000000)
+		assert.ok(peak < 200000000)
+	})
+})
+
+describe("parseFragment", () => {
+	const html = { htmlMode: true }
+
+	it("applies the optional tag rules of the context", () => {
+		const rows = parseFragment(`<tr><td>1<td>2<tr><td>3`, { ...html, context: "tbody" })
+		const items = parseFragment(`<li>a<li>b`, { ...html, context: "ul" })
+		const paragraph = parseFragment(`a<div>b</div>c`, { ...html, context: "p" })
+
+		assert.strictEqual(rows.context, "tbody")
+		assert.deepStrictEqual(rows.children.map(row => row.children.map(cell => cell.text)), [["1", "2"], ["3"]])
+		assert.deepStrictEqual(items.children.map(item => item.text), ["a", "b"])
+		assert.deepStrictEqual(paragraph.children.map(child => child.tagName ?? child.value), ["a", "div", "c"])
+	})
+
+	it("treats the content of raw text contexts as text", () => {
+		const data = `<b>Bold</b> &amp; </textarea>`
+		const fragment = parseFragment(data, { ...html, context: "textarea", decodeEntities: true, positions: true })
+
+		assert.strictEqual(fragment.children.length, 1)
+		assert.strictEqual(fragment.firstChild.value, `<b>Bold</b> & </textarea>`)
+		assert.strictEqual(fragment.firstChild.position.end.offset, data.length)
+		assert.strictEqual(serialize(fragment), data)
+	})
+
+	it("parses within foreign content", () => {
+		const fragment = parseFragment(`<lineargradient/><p>x</p><rect/>`, { ...html, context: "svg" })
+
+		assert.deepStrictEqual(fragment.children.map(child => child.tagName), ["linearGradient", "p", "rect"])
+	})
+
+	it("resolves namespaces declared by the context", () => {
+		const context = {
+			tagName: "svg:g",
+			attributes: { "xmlns:svg": "http://www.w3.org/2000/svg", "xml:space": "preserve" }
+		}
+		const fragment = parseFragment(`<svg:text>  a  </svg:text>`, { context, namespaces: true, trimText: true })
+
+		assert.strictEqual(fragment.context, "svg:g")
+		assert.strictEqual(fragment.firstChild.namespaceURI, "http://www.w3.org/2000/svg")
+		assert.strictEqual(fragment.firstChild.text, "  a  ")
+	})
+
+	it("never closes the context", () => {
+		const sax = []
+		const fragment = parseFragment(`<li>a</ul>b`, { ...html, context: "ul", misnesting: "ignore-stray" })
+
+		createSaxParser({ closeTag: ({ tagName }) => sax.push(tagName) }, { context: "ul" }).end(`<li>a</li>`)
+
+		assert.deepStrictEqual(fragment.children.map(child => child.text), ["ab"])
+		assert.strictEqual(fragment.diagnostics[0].code, "unmatched-closing-tag")
+		assert.deepStrictEqual(sax, ["li"])
+		assert.throws(() => parseFragment(`a</p>`, { context: "p" }))
+	})
+
+	it("can be spliced into an existing tree", () => {
+		const table = parse(`<table><tbody></tbody></table>`, html)
+		const rows = parseFragment(`<tr><td>1</td></tr>`, { ...html, context: "tbody" })
+
+		table.firstChild.firstChild.appendChild(rows.children)
+
+		assert.strictEqual(serialize(table), `<table><tbody><tr><td>1</td></tr></tbody></table>`)
+		assert.strictEqual(rows.children.length, 0)
+	})
+
+	it("requires a context", () => {
+		assert.throws(() => parseFragment(`<a/>`), TypeError)
+		assert.throws(() => parseFragment(`<a/>`, { context: "" }), TypeError)
+		assert.throws(() => parseFragment(`<a/>`, { context: {} }), TypeError)
+	})
+})
+
+describe("limits", () => {
+	const exceeded = (limit, charNumber) => ({ name: "LimitExceededError", limit, charNumber })
+
+	it("limits nesting and node counts", () => {
+		assert.doesNotThrow(() => parse(`<a><b></b></a>`, { maxDepth: 2 }))
+		assert.throws(() => parse(`<a><b><c/></b></a>`, { maxDepth: 2 }), exceeded("maxDepth", 7))
+		assert.doesNotThrow(() => parse(`<li>a</li>`, { context: "ul", maxDepth: 1 }))
+		assert.doesNotThrow(() => parse(`<ul><li>1</li></ul>`, { maxNodes: 3 }))
+		assert.throws(() => parse(`<ul><li>1</li><li>2</li></ul>`, { maxNodes: 4 }), exceeded("maxNodes", 20))
+	})
+
+	it("limits attributes", () => {
+		const values = { maxAttributeValueLength: 5 }
+
+		assert.throws(() => parse(`<a b c d e>`, { maxAttributesPerElement: 3 }), exceeded("maxAttributesPerElement", 10))
+		assert.throws(() => parse(`<a b="123456">`, values), exceeded("maxAttributeValueLength", 12))
+		assert.throws(() => parse(`<a b=123456>`, values), exceeded("maxAttributeValueLength", 11))
+		assert.doesNotThrow(() => parse(`<a b="12345">`, values))
+	})
+
+	it("limits text before it ends", () => {
+		const endless = `<script>${"x".repeat(1000)}`
+
+		assert.throws(() => parse(endless, { htmlMode: true, maxTextLength: 10 }), exceeded("maxTextLength", 19))
+		assert.throws(() => parse(`<a>0123456789</a>`, { maxTextLength: 5 }), exceeded("maxTextLength", 9))
+		assert.throws(() => parse(`<![CDATA[0123456789`, { maxTextLength: 5 }), { limit: "maxTextLength" })
+		assert.doesNotThrow(() => parse(`<a>01234</a>`, { maxTextLength: 5 }))
+	})
+
+	it("limits decoded values", () => {
+		const data = `<!DOCTYPE r [<!ENTITY e "0123456789">]><r a="&e;">&e;&e;&e;&e;&e;</r>`
+		const decode = { decodeEntities: true }
+
+		assert.throws(() => parse(data, { ...decode, maxAttributeValueLength: 5 }), exceeded("maxAttributeValueLength", 46))
+		assert.throws(() => parse(data, { ...decode, maxTextLength: 40 }), exceeded("maxTextLength", 51))
+		assert.doesNotThrow(() => parse(data, { ...decode, maxTextLength: 50 }))
+	})
+
+	it("limits the input across chunks", () => {
+		const parser = createStreamParser({ maxInputLength: 10 })
+
+		parser.write(`<a>01`)
+		assert.throws(() => parser.write(`23456</a>`), exceeded("maxInputLength", 11))
+	})
+
+	it("throws even when recovering", () => {
+		assert.throws(() => parse(`<a><b>`, { maxDepth: 1, recover: true }), exceeded("maxDepth", 4))
+	})
+
+	it("cancels parsing through a signal", () => {
+		const controller = new AbortController()
+		const opened = []
+		const onElement = ({ tagName }) => {
+			opened.push(tagName)
+			if (tagName === "stop") controller.abort()
+		}
+
+		assert.throws(() => parse(`<a/>`, { signal: AbortSignal.abort() }), { name: "AbortError" })
+		assert.throws(() => parse(`<a/><stop/><b/>`, { signal: controller.signal, onElement }), { name: "AbortError" })
+		assert.deepStrictEqual(opened, ["a", "stop"])
+	})
+})
+
+describe("cli", () => {
+	/**
+	 * Runs the command with the given arguments, feeding it the given input through stdin.
+	 */
+	const run = async (args, input = "") => {
+		const output = { stdout: "", stderr: "" }
+		const stream = name => ({ write: string => (output[name] += string) })
+		const code = await cli(args, { stdin: Readable.from([input]), stdout: stream("stdout"), stderr: stream("stderr") })
+
+		return { code, ...output }
+	}
+
+	it("prints an outline of stdin", async () => {
+		const { code, stdout } = await run(["--html", "--positions"], `<ul>\n<li>One<li>Two</ul>`)
+		const outline = [
+			`<ul>  1:1`,
+			`  #text "\\n"  1:5`,
+			`  <li> (implicitly closed)  2:1`,
+			`    #text "One"  2:5`,
+			`  <li> (implicitly closed)  2:8`,
+			`    #text "Two"  2:12`
+		]
+
+		assert.strictEqual(code, 0)
+		assert.strictEqual(stdout, `${outline.join("\n")}\n`)
+	})
+
+	it("passes flags on as options", async () => {
+		const args = ["-f", "json", "--trim-text", "--ignore-empty-text"]
+		const lists = ["--raw-text-elements", "code,tt", "--raw-text-elements=pre"]
+		const { code, stdout } = await run([...args, ...lists], `<a> <code><b></code> <pre><i></pre> text </a>`)
+		const [a] = JSON.parse(stdout).children
+
+		assert.strictEqual(code, 0)
+		assert.deepStrictEqual(
+			a.children.map(child => child.children?.[0].value ?? child.value),
+			["<b>", "<i>", "text"]
+		)
+	})
+
+	it("reads rules with severities", async () => {
+		const { code, stderr } = await run(["--must-self-close", "img,br=warning"], `<br></br>`)
+
+		assert.strictEqual(code, 0)
+		assert.match(stderr, /^<stdin>:1:1: warning: /)
+	})
+
+	it("prints markup, and json keyed by file name for several files", async () => {
+		const directory = await mkdtemp(join(tmpdir(), "flex-parse-"))
+		const files = [join(directory, "a.xml"), join(directory, "b.xml")]
+
+		await writeFile(files[0], `<a x='1'>one</a>`)
+		await writeFile(files[1], `<b/>`)
+
+		const markup = await run(["--format", "markup", files[0]])
+		const normalized = await run(["--format", "markup", "--normalize", files[0]])
+		const json = await run(["--format", "json", ...files])
+
+		await rm(directory, { recursive: true })
+
+		assert.strictEqual(markup.stdout, `<a x='1'>one</a>\n`)
+		assert.strictEqual(normalized.stdout, `<a x="1">one</a>\n`)
+		assert.deepStrictEqual(Object.keys(JSON.parse(json.stdout)), files)
+	})
+
+	it("parses every file with the same options", async () => {
+		const directory = await mkdtemp(join(tmpdir(), "flex-parse-"))
+		const files = [join(directory, "a.html"), join(directory, "b.html")]
+
+		await writeFile(files[0], `<p><br>one</p><pre>  one  </pre>`)
+		await writeFile(files[1], `<p><br>two</p><pre>  two  </pre>`)
+
+		const args = ["--void-elements", "br", "--trim-text", "--must-preserve-whitespace", "pre", ...files]
+		const { code, stdout } = await run(args)
+
+		await rm(directory, { recursive: true })
+
+		const outline = name => [`<p>`, `  <br>`, `  #text "${name}"`, `<pre>`, `  #text "  ${name}  "`].join("\n")
+
+		assert.strictEqual(code, 0)
+		assert.strictEqual(stdout, `==> ${files[0]} <==\n${outline("one")}\n==> ${files[1]} <==\n${outline("two")}\n`)
+	})
+
+	it("fails with the location of parse errors", async () => {
+		const { code, stdout, stderr } = await run([], `\n  <a>\n    <b>\n  </c>\n</a>`)
+
+		assert.strictEqual(code, 1)
+		assert.strictEqual(stdout, "")
+		assert.match(stderr, /^<stdin>:4:3: UnmatchedClosingTag: /)
+		assert.match(stderr, /> 4 \|   <\/c>\n {4}\| {3}\^/)
+	})
+
+	it("prints diagnostics when recovering", async () => {
+		const { code, stdout, stderr } = await run(["--recover"], `<a>\n</c></a>`)
+
+		assert.strictEqual(code, 0)
+		assert.match(stderr, /^<stdin>:2:1: error: Closing tag 'c' does not match any open element\n/)
+		assert.strictEqual(stdout, `<a>\n  #text "\\n"\n  #text "</c>"\n`)
+	})
+
+	it("rejects flags it can't use", async () => {
+		for (const args of [["--bogus"], ["--format", "yaml"], ["--misnesting", "loose"], ["--max-depth", "deep"]]) {
+			const { code, stderr } = await run(args)
+
+			assert.strictEqual(code, 2)
+			assert.match(stderr, /^flex-parse: /)
+		}
+	})
+
+	it("gives every thrown error a charNumber", () => {
+		const located = error => typeof error.charNumber === "number"
+
+		for (const data of [`<a></b>`, `<a <b>`, `<!-- a`, `<a>`]) {
+			assert.throws(() => parse(data, { misnesting: "strict" }), located)
+		}
+	})
+})
+
+describe("unist", () => {
+	const html = `<!DOCTYPE html><div class="a  b" data-user-id="7" tabindex="2" hidden>x &lt; y<?php echo?><!-- c --></div>`
+
+	it("converts to hast, typing properties", () => {
+		const tree = toHast(parse(html, { htmlMode: true, decodeEntities: true }))
+		const [doctype, div] = tree.children
+
+		assert.strictEqual(tree.type, "root")
+		assert.deepStrictEqual(doctype, { type: "doctype" })
+		assert.deepStrictEqual(div.properties, { className: ["a", "b"], dataUserId: "7", tabIndex: 2, hidden: true })
+		assert.deepStrictEqual(div.children, [
+			{ type: "text", value: "x < y" },
+			{ type: "comment", value: "?php echo?" },
+			{ type: "comment", value: " c " }
+		])
+	})
+
+	it("keeps foreign attribute names and template content", () => {
+		const data = `<svg viewBox="0 0 1 1" class="icon"><foreignObject><label for="a"></label></foreignObject></svg>`
+		const [svg, template] = toHast(parse(`${data}<template><p>t</p></template>`, { htmlMode: true })).children
+		const label = svg.children[0].children[0]
+
+		assert.deepStrictEqual(svg.properties, { viewBox: "0 0 1 1", className: ["icon"] })
+		assert.deepStrictEqual(label.properties, { htmlFor: ["a"] })
+		assert.deepStrictEqual(template.children, [])
+		assert.strictEqual(template.content.children[0].tagName, "p")
+	})
+
+	it("maps positions", () => {
+		const tree = toHast(parse(`<p>\n  text</p>`, { positions: true }))
+		const text = tree.children[0].children[0]
+
+		assert.deepStrictEqual(text.position, {
+			start: { line: 1, column: 4, offset: 3 },
+			end: { line: 2, column: 7, offset: 10 }
+		})
+		assert.deepStrictEqual(Object.keys(tree.children[0].position), ["start", "end"])
+		assert.strictEqual(toHast(parse(`<p/>`)).children[0].position, undefined)
+	})
+
+	it("converts from hast", () => {
+		const parsed = fromHast(toHast(parse(html, { htmlMode: true, decodeEntities: true, positions: true })))
+		const tree = {
+			type: "root",
+			children: [
+				{ type: "element", tagName: "input", properties: { disabled: true, readOnly: false }, children: [] },
+				{ type: "element", tagName: "script", properties: {}, children: [{ type: "text", value: "a < b" }] },
+				{ type: "raw", value: "<b>raw</b>" }
+			]
+		}
+
+		assert.strictEqual(
+			serialize(parsed),
+			`<!DOCTYPE html><div class="a b" data-user-id="7" tabindex="2" hidden="">x &lt; y<!--?php echo?--><!-- c --></div>`
+		)
+		assert.deepStrictEqual(parsed.children[1].position.start, { line: 1, column: 16, offset: 15 })
+		assert.strictEqual(serialize(fromHast(tree)), `<input disabled="" /><script>a < b</script><b>raw</b>`)
+		assert.throws(() => fromHast({ type: "root", children: [{ type: "mdxJsxFlowElement" }] }), TypeError)
+	})
+
+	it("converts to and from xast", () => {
+		const xml = `<?xml version="1.0"?><!DOCTYPE note SYSTEM "note.dtd"><note id="1"><![CDATA[<b>]]>a &amp; b</note>`
+		const tree = toXast(parse(xml, { decodeEntities: true }))
+
+		assert.deepStrictEqual(tree, {
+			type: "root",
+			children: [
+				{ type: "instruction", name: "xml", value: `version="1.0"` },
+				{ type: "doctype", name: "note", system: "note.dtd" },
+				{
+					type: "element",
+					name: "note",
+					attributes: { id: "1" },
+					children: [
+						{ type: "cdata", value: "<b>" },
+						{ type: "text", value: "a & b" }
+					]
+				}
+			]
+		})
+		assert.strictEqual(serialize(fromXast(tree)), xml)
+	})
+
+	it("escapes attribute values when serializing", () => {
+		const hast = { type: "element", tagName: "a", properties: { title: `say "a &lt; b"` }, children: [] }
+		const xast = { type: "element", name: "a", attributes: { b: `"&amp;'` }, children: [] }
+
+		const [a, b] = parse(serialize(fromHast(hast)) + serialize(fromXast(xast)), { decodeEntities: true }).children
+
+		assert.strictEqual(serialize(fromHast(hast)), `<a title='say "a &amp;lt; b"'></a>`)
+		assert.strictEqual(serialize(fromXast(xast)), `<a b="&quot;&amp;amp;'"></a>`)
+		assert.strictEqual(a.attributes.title, hast.properties.title)
+		assert.strictEqual(b.attributes.b, xast.attributes.b)
+	})
+})
+
+describe("toObject", () => {
+	const xml = `<?xml version="1.0"?>
+<!-- catalog -->
+<catalog>
+	<book id="1" available="true">
+		<title>Dune</title>
+		<price currency="USD">9.99</price>
+		<tag>scifi</tag>
+		<tag>classic</tag>
+		<blurb>An <![CDATA[<epic>]]> tale</blurb>
+		<isbn>007</isbn>
+		<empty/>
+	</book>
+</catalog>`
+
+	it("converts elements into objects keyed by tag name", () => {
+		assert.deepStrictEqual(toObject(parse(xml)), {
+			catalog: {
+				book: {
+					"@id": "1",
+					"@available": "true",
+					title: "Dune",
+					price: { "@currency": "USD", "#text": "9.99" },
+					tag: ["scifi", "classic"],
+					blurb: "An <epic> tale",
+					isbn: "007",
+					empty: ""
+				}
+			}
+		})
+	})
+
+	it("converts a single element", () => {
+		const catalog = parse(xml).children.find(child => child.tagName === "catalog")
+
+		assert.deepStrictEqual(toObject(catalog.children[1], { forceArray: true }).book[0].tag, ["scifi", "classic"])
+	})
+
+	it("renames keys and keeps CDATA apart", () => {
+		const options = { attributesKey: "$", attributePrefix: "", textKey: "_", cdataKey: "#cdata", collapseText: false }
+		const { book } = toObject(parse(xml), options).catalog
+
+		assert.deepStrictEqual(book.$, { id: "1", available: "true" })
+		assert.deepStrictEqual(book.title, { _: "Dune" })
+		assert.deepStrictEqual(book.price, { $: { currency: "USD" }, _: "9.99" })
+		assert.deepStrictEqual(book.blurb, { _: "An  tale", "#cdata": "<epic>" })
+		assert.deepStrictEqual(book.empty, {})
+	})
+
+	it("forces arrays for the listed tag names", () => {
+		const { catalog } = toObject(parse(xml), { forceArray: ["book", "title"] })
+
+		assert.ok(Array.isArray(catalog.book))
+		assert.deepStrictEqual(catalog.book[0].title, ["Dune"])
+		assert.strictEqual(catalog.book[0].isbn, "007")
+	})
+
+	it("coerces values", () => {
+		const { book } = toObject(parse(xml), { coerce: true }).catalog
+		const names = []
+		const coerce = (value, { name, isAttribute }) => {
+			names.push(`${isAttribute ? "@" : ""}${name}`)
+
+			return value.toUpperCase()
+		}
+
+		assert.deepStrictEqual([book["@id"], book["@available"], book.price["#text"], book.isbn], [1, true, 9.99, "007"])
+		assert.strictEqual(toObject(parse(`<a b="x">y</a>`), { coerce }).a["#text"], "Y")
+		assert.deepStrictEqual(names, ["@b", "a"])
+	})
+
+	it("keeps tag names that shadow object properties", () => {
+		const object = toObject(parse(`<a b="1"><__proto__>x</__proto__></a>`), { attributePrefix: "" })
+
+		assert.deepStrictEqual(Object.keys(object.a), ["b", "__proto__"])
+		assert.strictEqual(Object.getPrototypeOf(object.a), Object.prototype)
+		assert.strictEqual(object.a.b, "1")
+	})
+})
+
+describe("createStreamParser", () => {
+	const data = `  <div id="a" b c=d>
+	text<!-- comment --><![CDATA[ <data> ]]><br/>é<script>let a = "</div>"</script></div>  `
+	const options = () => ({ htmlMode: true, positions: true })
+	const collectPositions = (node, positions = []) => {
+		positions.push(node.position)
+
+		for (const child of node.children || []) collectPositions(child, positions)
+
+		return positions
+	}
+	const expected = parse(data, options())
+
+	it("produces the same structure as parse no matter where the data is split", () => {
+		for (let i = 0; i <= data.length; i++) {
+			const parsed = createStreamParser(options()).write(data.slice(0, i)).end(data.slice(i))
+
+			assert.deepStrictEqual(parsed.toObject(), expected.toObject())
+			assert.deepStrictEqual(collectPositions(parsed), collectPositions(expected))
+		}
+	})
+
+	it("decodes characters split across Buffer chunks", () => {
+		const buffer = Buffer.from(data)
+		const split = buffer.indexOf(Buffer.from("é")) + 1
+		const parsed = createStreamParser(options()).write(buffer.subarray(0, split)).end(buffer.subarray(split))
+
+		assert.deepStrictEqual(parsed.toObject(), expected.toObject())
+	})
+
+	it("refuses to write once ended", () => {
+		const parser = createStreamParser()
+
+		parser.end(`<div></div>`)
+
+		assert.throws(() => parser.write(`<div></div>`))
+	})
+})
+
+describe("parseStream", () => {
+	it("parses async iterables", async () => {
+		const parsed = await parseStream(Readable.from([`<div>te`, `xt</div>`]))
+
+		assert.deepStrictEqual(parsed.toObject(), parse(`<div>text</div>`).toObject())
+	})
+
+	it("parses through a transform stream", async () => {
+		const roots = await Readable.from([`<div>te`, `xt</div>`]).pipe(createParseStream()).toArray()
+
+		assert.strictEqual(roots.length, 1)
+		assert.deepStrictEqual(roots[0].toObject(), parse(`<div>text</div>`).toObject())
+	})
+
+	it("parses strings written to a transform stream as they are", async () => {
+		const data = `<meta charset="windows-1252"><p>é ✓</p>`
+		const [root] = await Readable.from([data.slice(0, 33), data.slice(33)])
+			.pipe(createParseStream({ htmlMode: true }))
+			.toArray()
+		const stream = createParseStream({ htmlMode: true })
+		const roots = stream.toArray()
+
+		// Strings written in a binary encoding are still bytes, whose encoding is sniffed
+		stream.end(Buffer.from(data, "latin1").toString("hex"), "hex")
+
+		assert.strictEqual(root.text, "é ✓")
+		assert.strictEqual(root.encoding, undefined)
+		assert.strictEqual(root.text, (await parseStream(Readable.from([data]), { htmlMode: true })).text)
+		assert.strictEqual((await roots)[0].encoding, "windows-1252")
+	})
+})
+
+describe("createSaxParser", () => {
+	const record = (data, options) => {
+		const events = []
+		const handlers = {}
+
+		for (const name of ["openTag", "closeTag", "selfClosing", "text", "comment", "cdata", "diagnostic", "end"]) {
+			handlers[name] = ({ position, frame, syntax, raw, leading, trailing, ...event }) => events.push([name, event])
+		}
+
+		createSaxParser(handlers, options).end(data)
+
+		return events
+	}
+
+	it("emits events in document order", () => {
+		assert.deepStrictEqual(record(`<div id="a">text<br/><!-- c --><![CDATA[d]]></div>`), [
+			["openTag", { tagName: "div", attributes: { id: "a" } }],
+			["text", { value: "text" }],
+			["selfClosing", { tagName: "br", attributes: {} }],
+			["comment", { value: "<!-- c -->" }],
+			["cdata", { value: "d" }],
+			["closeTag", { tagName: "div", implied: false }],
+			["end", {}]
+		])
+	})
+
+	it("honors the parse options", () => {
+		assert.deepStrictEqual(record(`<P>  a  <BR></P><SCRIPT><b></script>`, { htmlMode: true, trimText: true }), [
+			["openTag", { tagName: "p", attributes: {} }],
+			["text", { value: "a" }],
+			["selfClosing", { tagName: "br", attributes: {} }],
+			["closeTag", { tagName: "p", implied: false }],
+			["openTag", { tagName: "script", attributes: {} }],
+			["text", { value: "<b>" }],
+			["closeTag", { tagName: "script", implied: false }],
+			["end", {}]
+		])
+	})
+
+	it("leaves the options about building nodes to the stream parser", () => {
+		const data = `<div id="a">text<!-- c --><b>x</b></div>`
+		const options = {
+			excludeElements: ["b"],
+			ignoreAttributes: true,
+			ignoreCommentNodes: true,
+			ignoreElementNodes: true,
+			ignoreTextNodes: true,
+			includeElements: ["p"],
+			parseAttributes: true
+		}
+
+		assert.deepStrictEqual(record(data, options), record(data))
+	})
+
+	it("describes how tags were written", () => {
+		const events = []
+
+		createSaxParser({
+			openTag: ({ syntax }) => events.push(syntax),
+			closeTag: ({ raw }) => events.push(raw),
+			end: ({ leading, trailing }) => events.push([leading, trailing])
+		}).end(` \n<div  id = 'a' hidden >text</div >\n`)
+
+		assert.deepStrictEqual(events, [
+			{
+				open: "<",
+				rawTagName: "div",
+				attributes: [
+					{ name: "id", value: "a", quote: "'", raw: "  id = 'a'" },
+					{ name: "hidden", value: "", quote: undefined, raw: " hidden" }
+				],
+				tail: " >"
+			},
+			"</div >",
+			[" \n", "\n"]
+		])
+	})
+
+	it("implicitly closes elements left open by the end of the data", () => {
+		assert.deepStrictEqual(record(`<a><b>`), [
+			["openTag", { tagName: "a", attributes: {} }],
+			["openTag", { tagName: "b", attributes: {} }],
+			["closeTag", { tagName: "b", implied: true }],
+			["closeTag", { tagName: "a", implied: true }],
+			["end", {}]
+		])
+	})
+})
+
+describe("decodeEntities", () => {
+	it("decodes the XML references outside of htmlMode", () => {
+		const parsed = parse(`<a b="&lt;&#39;&#x27;&nbsp;">&amp;&quot;&apos;&copy;&#65 &#65;</a>`, { decodeEntities: true })
+		const a = parsed.children[0]
+
+		assert.deepStrictEqual(a.attributes, { b: `<''&nbsp;` })
+		assert.strictEqual(a.children[0].value, `&"'&copy;&#65 A`)
+		assert.strictEqual(a.children[0].syntax.raw, `&amp;&quot;&apos;&copy;&#65 &#65;`)
+	})
+
+	it("decodes the HTML references in htmlMode", () => {
+		const parsed = parse(
+			`<a b="&copy &copy=1 &copyx &notin;">&copy2 &notit; &#128;&#0;<title>&amp;</title><script>&amp;</script></a>`,
+			{ decodeEntities: true, htmlMode: true }
+		)
+		const a = parsed.children[0]
+
+		assert.deepStrictEqual(a.attributes, { b: "© &copy=1 &copyx ∉" })
+		assert.strictEqual(a.children[0].value, "©2 ¬it; €\uFFFD")
+		assert.strictEqual(a.children[1].children[0].value, "&")
+		assert.strictEqual(a.children[2].children[0].value, "&amp;")
+		assert.strictEqual(a.syntax.attributes[0].rawValue, "&copy &copy=1 &copyx &notin;")
+	})
+
+	it("leaves comments and CDATA alone", () => {
+		const parsed = parse(`<!-- &amp; --><![CDATA[&amp;]]>`, { decodeEntities: true })
+
+		assert.strictEqual(parsed.children[0].value, "<!-- &amp; -->")
+		assert.strictEqual(parsed.children[1].value, "&amp;")
+	})
+
+	it("serializes decoded values the way they were found", () => {
+		const data = `<a b="&amp;">&lt;&gt;</a>`
+
+		assert.strictEqual(serialize(parse(data, { decodeEntities: true })), data)
+		assert.strictEqual(serialize(parse(data, { decodeEntities: true }), { normalize: true }), data)
+	})
+})
+
+describe("htmlMode implied end tags", () => {
+	const html = data => parse(data, { htmlMode: true }).toString()
+
+	it("closes elements where a browser would", () => {
+		assert.strictEqual(html(`<ul><li>a<li>b</ul>`), `<ROOT><ul><li>a</li><li>b</li></ul></ROOT>`)
+		assert.strictEqual(html(`<p>a<div>b</div><p>c<p>d`), `<ROOT><p>a</p><div>b</div><p>c</p><p>d</p></ROOT>`)
+		assert.strictEqual(html(`<dl><dt>a<dd>b<dt>c</dl>`), `<ROOT><dl><dt>a</dt><dd>b</dd><dt>c</dt></dl></ROOT>`)
+		assert.strictEqual(
+			html(`<select><optgroup><option>a<option>b<optgroup><option>c</select>`),
+			`<ROOT><select><optgroup><option>a</option><option>b</option></optgroup><optgroup><option>c</option></optgroup></select></ROOT>`
+		)
+		assert.strictEqual(
+			html(`<table><thead><tr><th>a<th>b<tbody><tr><td>c<td>d<tr><td>e</table>`),
+			`<ROOT><table><thead><tr><th>a</th><th>b</th></tr></thead><tbody><tr><td>c</td><td>d</td></tr><tr><td>e</td></tr></tbody></table></ROOT>`
+		)
+	})
+
+	it("doesn't reach past scope boundaries", () => {
+		assert.strictEqual(
+			html(`<ul><li>a<ul><li>b</ul><li>c</ul>`),
+			`<ROOT><ul><li>a<ul><li>b</li></ul></li><li>c</li></ul></ROOT>`
+		)
+		assert.strictEqual(html(`<p><button><div>a</div></button>`), `<ROOT><p><button><div>a</div></button></p></ROOT>`)
+		assert.strictEqual(
+			html(`<div><table><tr><td></div>`),
+			`<ROOT><div><table><tr><td></td></tr></table></div></ROOT>`
+		)
+		assert.throws(() => parse(`<div><table><tr><td></div>`, { htmlMode: true, misnesting: "strict" }))
+	})
+
+	it("handles stray closing tags the way a browser does", () => {
+		const parsed = parse(`<p>a<ul><li>b</li></ul></p>`, { htmlMode: true, positions: true })
+		const p = parsed.lastChild
+
+		assert.strictEqual(html(`<p><div>x</div></p>`), `<ROOT><p></p><div>x</div><p></p></ROOT>`)
+		assert.strictEqual(parsed.toString(), `<ROOT><p>a</p><ul><li>b</li></ul><p></p></ROOT>`)
+		assert.strictEqual(p.implicitlyOpened, true)
+		assert.strictEqual(p.position.start.offset, 23)
+		assert.strictEqual(serialize(parsed), `<p>a<ul><li>b</li></ul></p>`)
+		assert.strictEqual(html(`a</br>b`), `<ROOT>a<br />b</ROOT>`)
+		assert.strictEqual(html(`<div></span>a</div>`), `<ROOT><div>a</div></ROOT>`)
+		assert.throws(() => parse(`</p>`, { htmlMode: true, misnesting: "strict" }), { name: "UnmatchedClosingTag" })
+	})
+
+	it("flags implicitly closed elements", () => {
+		const parsed = parse(`<ul><li>a<li>b</li></ul><p>c`, { htmlMode: true, positions: true })
+		const [ul, p] = parsed.children
+
+		assert.strictEqual(ul.children[0].implicitlyClosed, true)
+		assert.strictEqual(ul.children[0].position.end.offset, 9)
+		assert.strictEqual(ul.children[1].implicitlyClosed, undefined)
+		assert.strictEqual(p.implicitlyClosed, true)
+	})
+
+	it("leaves non-HTML data alone", () => {
+		assert.strictEqual(parse(`<li>a<li>b`).toString(), `<ROOT><li>a<li>b</li></li></ROOT>`)
+	})
+})
+
+describe("htmlMode foreign content", () => {
+	it("keeps the case of SVG tag and attribute names", () => {
+		const data = `<svg viewBox="0 0 1 1"><LINEARGRADIENT gradientUnits="userSpaceOnUse"/><clippath></clipPath></svg>`
+		const parsed = parse(data, { htmlMode: true })
+		const [gradient, clipPath] = parsed.children[0].children
+
+		assert.strictEqual(gradient.tagName, "linearGradient")
+		assert.deepStrictEqual(gradient.attributes, { gradientUnits: "userSpaceOnUse" })
+		assert.strictEqual(clipPath.tagName, "clipPath")
+		assert.strictEqual(clipPath.implicitlyClosed, undefined)
+		assert.strictEqual(serialize(parsed), data)
+	})
+
+	it("adjusts the case of SVG and MathML attribute names", () => {
+		const data = `<svg viewbox="0 0 1 1" VIEWBOX="2"><path PathLength="3"/></svg><math definitionurl="u"></math><p viewbox="4">`
+		const parsed = parse(data, { htmlMode: true, positions: true })
+		const [svg, math, p] = parsed.children
+
+		assert.deepStrictEqual(svg.attributes, { viewBox: "0 0 1 1", VIEWBOX: "2" })
+		assert.deepStrictEqual(Object.keys(svg.position.attributes), ["viewBox", "VIEWBOX"])
+		assert.deepStrictEqual(svg.children[0].attributes, { pathLength: "3" })
+		assert.deepStrictEqual(math.attributes, { definitionURL: "u" })
+		assert.deepStrictEqual(p.attributes, { viewbox: "4" })
+		assert.strictEqual(serialize(parsed), data)
+	})
+
+	it("ignores HTML's raw text, void and optional tag rules", () => {
+		const svg = parse(`<svg><style>a<g/></style><image href="a"></image><p>after`, { htmlMode: true }).children
+
+		assert.strictEqual(svg[0].children[0].children[1].tagName, "g")
+		assert.strictEqual(svg[0].children[1].isSelfClosing, false)
+		assert.strictEqual(svg[1].tagName, "p")
+		assert.strictEqual(svg[1].text, "after")
+	})
+
+	it("switches back to HTML within integration points", () => {
+		const parsed = parse(`<svg><foreignObject><p>a<p>b<br></foreignObject></svg><math><mi>x<br></mi></math>`, {
+			htmlMode: true
+		})
+		const foreignObject = parsed.children[0].children[0]
+
+		assert.deepStrictEqual(foreignObject.children.map(child => child.tagName), ["p", "p"])
+		assert.strictEqual(foreignObject.children[1].children[1].isSelfClosing, true)
+		assert.strictEqual(parsed.children[1].children[0].children[1].isSelfClosing, true)
+	})
+
+	it("keeps CDATA sections", () => {
+		assert.strictEqual(parse(`<svg><![CDATA[a<b]]></svg>`, { htmlMode: true }).children[0].children[0].type, "cdata")
+	})
+})
+
+describe("processing instructions", () => {
+	it("parses XML declarations and their pseudo-attributes", () => {
+		const parsed = parse(`<?xml version="1.0" encoding='UTF-8' standalone="yes"?><root/>`)
+		const declaration = parsed.children[0]
+
+		assert.ok(declaration instanceof ProcessingInstruction)
+		assert.deepStrictEqual(declaration.toObject(), {
+			type: "processing-instruction",
+			value: `<?xml version="1.0" encoding='UTF-8' standalone="yes"?>`,
+			attributes: { version: "1.0", encoding: "UTF-8", standalone: "yes" },
+			target: "xml",
+			data: `version="1.0" encoding='UTF-8' standalone="yes"`
+		})
+		assert.strictEqual(parsed.children[1].tagName, "root")
+	})
+
+	it("keeps other instructions verbatim anywhere in the document", () => {
+		for (const htmlMode of [false, true]) {
+			const parsed = parse(`<p><?php if ($a > 1) { echo "<b>"; } ?></p><?xml-stylesheet href="a.xsl"?>`, { htmlMode })
+			const [php, stylesheet] = [parsed.children[0].children[0], parsed.children[1]]
+
+			assert.strictEqual(php.type, "processing-instruction")
+			assert.strictEqual(php.target, "php")
+			assert.strictEqual(php.data, `if ($a > 1) { echo "<b>"; } `)
+			assert.strictEqual(php.attributes, undefined)
+			assert.deepStrictEqual(stylesheet.attributes, { href: "a.xsl" })
+		}
+	})
+
+	it("reports unterminated instructions", () => {
+		assert.throws(() => parse(`<?php echo`), { name: "UnexpectedEndOfInputError" })
+
+		const parsed = parse(`<?php echo`, { recover: true })
+
+		assert.strictEqual(parsed.diagnostics[0].code, "unterminated-processing-instruction")
+		assert.strictEqual(parsed.children[0].value, `<?php echo?>`)
+	})
+})
+
+describe("doctypes", () => {
+	it("breaks declarations down into their parts", () => {
+		const html = parse(`<!doctype HTML PUBLIC "-//W3C//DTD HTML 4.01//EN" "http://www.w3.org/TR/html4/strict.dtd"><p>`, {
+			htmlMode: true
+		})
+		const doctype = html.children[0]
+
+		assert.ok(doctype instanceof Doctype)
+		assert.deepStrictEqual(doctype.toObject(), {
+			type: "doctype",
+			value: `<!doctype HTML PUBLIC "-//W3C//DTD HTML 4.01//EN" "http://www.w3.org/TR/html4/strict.dtd">`,
+			name: "html",
+			publicId: "-//W3C//DTD HTML 4.01//EN",
+			systemId: "http://www.w3.org/TR/html4/strict.dtd"
+		})
+		assert.strictEqual(html.children[1].tagName, "p")
+		assert.deepStrictEqual(parse(`<!DOCTYPE html>`).children[0].toObject(), {
+			type: "doctype",
+			value: "<!DOCTYPE html>",
+			name: "html"
+		})
+	})
+
+	it("keeps the internal subset and expands the entities it declares", () => {
+		const subset = `
+	<!-- it's not over ] yet -->
+	<!ENTITY company "Acme &amp; Co">
+	<!ENTITY writer 'Donald of &company;'>
+	<!ENTITY writer "ignored">
+	<!ENTITY loop "&loop;">
+`
+		const data = `<!DOCTYPE note SYSTEM "note.dtd" [${subset}]><note by="&writer;">&company; &loop;</note>`
+		const parsed = parse(data, { decodeEntities: true })
+		const [doctype, note] = parsed.children
+
+		assert.strictEqual(doctype.internalSubset, subset)
+		assert.strictEqual(doctype.systemId, "note.dtd")
+		assert.deepStrictEqual(doctype.entities, { company: "Acme & Co", writer: "Donald of Acme & Co" })
+		assert.strictEqual(note.attributes.by, "Donald of Acme & Co")
+		assert.strictEqual(note.children[0].value, "Acme & Co &loop;")
+		assert.strictEqual(serialize(parsed), data)
+		assert.strictEqual(parse(data).children[1].attributes.by, "&writer;")
+	})
+
+	it("reads comments and processing instructions within the internal subset to their ends", () => {
+		const subset = `<!--> ] --><!----><?pi ] ?><!ENTITY a "b">`
+		const [doctype, x] = parse(`<!DOCTYPE x [${subset}]><x/>`).children
+
+		assert.strictEqual(doctype.internalSubset, subset)
+		assert.deepStrictEqual(doctype.entities, { a: "b" })
+		assert.strictEqual(x.tagName, "x")
+	})
+
+	it("resolves entities that refer to each other in long chains", () => {
+		const chain = Array.from({ length: 20000 }, (_, n) => `<!ENTITY e${n} "&e${n + 1};">`)
+		const parsed = parse(`<!DOCTYPE r [${chain.join("")}<!ENTITY e20000 "end">]><r>&e0;</r>`, { decodeEntities: true })
+
+		assert.strictEqual(parsed.children[1].text, "end")
+	})
+
+	it("stops declared entities from expanding the data too far", () => {
+		const levels = Array.from({ length: 9 }, (_, n) => `<!ENTITY lol${n + 1} "${`&lol${n || ""};`.repeat(10)}">`)
+		const doctype = `<!DOCTYPE lolz [<!ENTITY lol "lol">${levels.join("")}]>`
+		const parsed = parse(`${doctype}<lolz>${"&lol4;".repeat(10)}</lolz>`, { decodeEntities: true })
+
+		assert.deepStrictEqual(Object.keys(parsed.children[0].entities), ["lol", "lol1", "lol2", "lol3", "lol4", "lol5"])
+		assert.strictEqual(parsed.children[1].children[0].value.length, 300000)
+		assert.throws(() => parse(`${doctype}<lolz>${"&lol5;".repeat(30)}</lolz>`, { decodeEntities: true }), {
+			name: "LimitExceededError",
+			limit: "entityExpansion"
+		})
+		assert.throws(() => parse(`${doctype}<lolz a="${"&lol5;".repeat(30)}"/>`, { decodeEntities: true }), {
+			name: "LimitExceededError",
+			limit: "entityExpansion"
+		})
+	})
+
+	it("reports unterminated declarations", () => {
+		assert.throws(() => parse(`<!DOCTYPE x [<!ENTITY a "b">`), { name: "UnexpectedEndOfInputError" })
+
+		const parsed = parse(`<!DOCTYPE x [<!ENTITY a "b">`, { recover: true })
+
+		assert.strictEqual(parsed.diagnostics[0].code, "unterminated-doctype")
+		assert.strictEqual(parsed.children[0].value, `<!DOCTYPE x [<!ENTITY a "b">]>`)
+		assert.deepStrictEqual(parsed.children[0].entities, { a: "b" })
+	})
+})
+
+describe("namespaces", () => {
+	const ATOM = "http://www.w3.org/2005/Atom"
+	const MEDIA = "http://search.yahoo.com/mrss/"
+
+	it("resolves elements and attributes through the declarations in scope", () => {
+		const parsed = parse(
+			`<feed xmlns="${ATOM}" xmlns:m="${MEDIA}"><entry xml:lang="en"><m:content url="a" m:medium="image"/><x xmlns=""/></entry></feed>`,
+			{ namespaces: true }
+		)
+		const feed = parsed.children[0]
+		const entry = feed.children[0]
+		const [content, x] = entry.children
+
+		assert.deepStrictEqual([feed.prefix, feed.localName, feed.namespaceURI], [undefined, "feed", ATOM])
+		assert.deepStrictEqual(feed.attributeNamespaces["xmlns:m"], {
+			prefix: "xmlns",
+			localName: "m",
+			namespaceURI: "http://www.w3.org/2000/xmlns/"
+		})
+		assert.strictEqual(entry.namespaceURI, ATOM)
+		assert.strictEqual(entry.attributeNamespaces["xml:lang"].namespaceURI, "http://www.w3.org/XML/1998/namespace")
+		assert.deepStrictEqual([content.tagName, content.prefix, content.localName, content.namespaceURI], [
+			"m:content",
+			"m",
+			"content",
+			MEDIA
+		])
+		assert.deepStrictEqual(content.attributeNamespaces, {
+			url: { prefix: undefined, localName: "url", namespaceURI: undefined },
+			"m:medium": { prefix: "m", localName: "medium", namespaceURI: MEDIA }
+		})
+		assert.strictEqual(x.namespaceURI, undefined)
+	})
+
+	it("only resolves when enabled", () => {
+		const a = parse(`<a:b xmlns:a="x"/>`).children[0]
+
+		assert.strictEqual(a.localName, undefined)
+		assert.strictEqual(a.namespaceURI, undefined)
+	})
+
+	it("reports undeclared prefixes", () => {
+		assert.throws(() => parse(`<a xlink:href="#b"/>`, { namespaces: true }), { name: "UnboundNamespacePrefixError" })
+		assert.throws(() => parse(`<p:a xmlns:p="x"/><p:b/>`, { namespaces: true }), {
+			name: "UnboundNamespacePrefixError"
+		})
+
+		const parsed = parse(`<a xlink:href="#b"/>`, { namespaces: true, recover: true })
+
+		assert.strictEqual(parsed.diagnostics[0].code, "unbound-namespace-prefix")
+		assert.deepStrictEqual(parsed.children[0].attributeNamespaces["xlink:href"], {
+			prefix: "xlink",
+			localName: "href",
+			namespaceURI: undefined
+		})
+	})
+
+	it("puts foreign content in its namespace and declares xlink in htmlMode", () => {
+		const SVG = "http://www.w3.org/2000/svg"
+		const html = `<p><svg><use xlink:href="#a"/><foreignObject><b></b></foreignObject></svg><math><mi/></math>`
+		const parsed = parse(html, { htmlMode: true, namespaces: true })
+		const [svg, math] = parsed.children[0].children
+		const [use, foreignObject] = svg.children
+
+		assert.deepStrictEqual([svg.namespaceURI, use.namespaceURI, foreignObject.namespaceURI], [SVG, SVG, SVG])
+		assert.deepStrictEqual(use.attributeNamespaces["xlink:href"], {
+			prefix: "xlink",
+			localName: "href",
+			namespaceURI: "http://www.w3.org/1999/xlink"
+		})
+		assert.strictEqual(foreignObject.children[0].namespaceURI, undefined)
+		assert.strictEqual(math.namespaceURI, "http://www.w3.org/1998/Math/MathML")
+		assert.strictEqual(math.children[0].namespaceURI, "http://www.w3.org/1998/Math/MathML")
+		assert.strictEqual(parsed.children[0].namespaceURI, undefined)
+	})
+})
+
+describe("serialize", () => {
+	it("reproduces the original data exactly", () => {
+		const data = [
+			...tests.filter(test => !test.expectedToThrow).flatMap(test => test.data),
+			` \n\t<A  HREF = 'x' b=1 c >text</A >\r\n`,
+			`<a x="1" x='2'/><![cdata[<raw>]]><!-- c --><p>unclosed`
+		]
+
+		for (const d of data) assert.strictEqual(serialize(parse(d)), d)
+		assert.strictEqual(serialize(parse(`<BR><Script>a < b</script>`, { htmlMode: true })), `<BR><Script>a < b</script>`)
+	})
+
+	it("keeps stray closing tags recovered from", () => {
+		const parsed = parse(`<b><i></b></i>`, { recover: true })
+
+		assert.strictEqual(parsed.children[1].value, "</i>")
+		assert.strictEqual(serialize(parsed), `<b><i></b></i>`)
+	})
+
+	it("keeps the style of modified tags", () => {
+		const parsed = parse(`<a  x='1' y=2 z >text</a>`)
+		const a = parsed.children[0]
+
+		a.addAttribute("x", `it's`)
+		a.addAttribute("y", "two words")
+		a.addAttribute("z", "3")
+		a.addAttribute("w", "4")
+
+		assert.strictEqual(serialize(parsed), `<a  x="it's" y="two words" z="3" w="4" >text</a>`)
+
+		a.removeAttribute("y")
+		a.appendChild(new Node({ type: ELEMENT, tagName: "b" }))
+
+		assert.strictEqual(serialize(parsed), `<a  x="it's" z="3" w="4" >text<b></b></a>`)
+	})
+
+	it("normalizes when asked to", () => {
+		const parsed = parse(`  <DIV a='1' b><br><![cdata[x]]></DIV>  `, { htmlMode: true })
+
+		assert.strictEqual(serialize(parsed, { normalize: true }), `<div a="1" b=""><br /><![CDATA[x]]></div>`)
+		assert.strictEqual(serialize(parsed.children[0].children[0]), `<br>`)
+	})
+
+	it("escapes text created after parsing", () => {
+		const parsed = parse(`<p>a &amp; b</p><script>if (a < b) {}</script>`, { htmlMode: true })
+		const p = parsed.children[0]
+
+		const expected = `<p>a &amp; b, x &lt; y &amp; z</p><script>if (a < b) {}</script>`
+
+		p.appendChild(new Node({ type: TEXT, value: ", x < y & z" }))
+
+		assert.strictEqual(serialize(parsed), expected)
+		assert.strictEqual(serialize(parsed, { normalize: true }), expected)
+	})
 })